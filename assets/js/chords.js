@@ -0,0 +1,266 @@
+// Names what's sounding: a note, an interval or a chord with its inversion,
+// like "Cmaj7/E" (C major seventh, first inversion). Names are spelled for the
+// key the room seems to be playing in, so it's B♭ in F major and A♯ in B major.
+
+// Chord tones by degree: [semitones above the root, letters above the root]
+const DEGREES = {
+  1: [0, 0],
+  b9: [1, 1],
+  2: [2, 1],
+  9: [2, 1],
+  "#9": [3, 1],
+  b3: [3, 2],
+  3: [4, 2],
+  4: [5, 3],
+  11: [5, 3],
+  "#11": [6, 3],
+  b5: [6, 4],
+  5: [7, 4],
+  "#5": [8, 4],
+  b13: [8, 5],
+  6: [9, 5],
+  13: [9, 5],
+  bb7: [9, 6],
+  b7: [10, 6],
+  7: [11, 6],
+};
+
+// Chords we know, most common first so they win ties. optional tones may be
+// left out, like the fifth of a seventh chord.
+const CHORDS = [
+  { symbol: "", name: "major", tones: ["1", "3", "5"] },
+  { symbol: "m", name: "minor", tones: ["1", "b3", "5"] },
+  { symbol: "7", name: "dominant seventh", tones: ["1", "3", "5", "b7"], optional: ["5"] },
+  { symbol: "maj7", name: "major seventh", tones: ["1", "3", "5", "7"], optional: ["5"] },
+  { symbol: "m7", name: "minor seventh", tones: ["1", "b3", "5", "b7"], optional: ["5"] },
+  { symbol: "dim", name: "diminished", tones: ["1", "b3", "b5"] },
+  { symbol: "aug", name: "augmented", tones: ["1", "3", "#5"] },
+  { symbol: "sus4", name: "suspended fourth", tones: ["1", "4", "5"] },
+  { symbol: "sus2", name: "suspended second", tones: ["1", "2", "5"] },
+  { symbol: "6", name: "major sixth", tones: ["1", "3", "5", "6"], optional: ["5"] },
+  { symbol: "m6", name: "minor sixth", tones: ["1", "b3", "5", "6"], optional: ["5"] },
+  { symbol: "m7♭5", name: "half-diminished seventh", tones: ["1", "b3", "b5", "b7"] },
+  { symbol: "dim7", name: "diminished seventh", tones: ["1", "b3", "b5", "bb7"] },
+  { symbol: "m(maj7)", name: "minor major seventh", tones: ["1", "b3", "5", "7"], optional: ["5"] },
+  { symbol: "7sus4", name: "dominant seventh suspended fourth", tones: ["1", "4", "5", "b7"], optional: ["5"] },
+  { symbol: "aug7", name: "augmented seventh", tones: ["1", "3", "#5", "b7"] },
+  { symbol: "add9", name: "added ninth", tones: ["1", "3", "5", "9"], optional: ["5"] },
+  { symbol: "madd9", name: "minor added ninth", tones: ["1", "b3", "5", "9"], optional: ["5"] },
+  { symbol: "6/9", name: "sixth ninth", tones: ["1", "3", "5", "6", "9"], optional: ["5"] },
+  { symbol: "9", name: "dominant ninth", tones: ["1", "3", "5", "b7", "9"], optional: ["5"] },
+  { symbol: "maj9", name: "major ninth", tones: ["1", "3", "5", "7", "9"], optional: ["5"] },
+  { symbol: "m9", name: "minor ninth", tones: ["1", "b3", "5", "b7", "9"], optional: ["5"] },
+  { symbol: "7♭9", name: "dominant seventh flat ninth", tones: ["1", "3", "5", "b7", "b9"], optional: ["5"] },
+  { symbol: "7♯9", name: "dominant seventh sharp ninth", tones: ["1", "3", "5", "b7", "#9"], optional: ["5"] },
+  { symbol: "9sus4", name: "ninth suspended fourth", tones: ["1", "4", "5", "b7", "9"], optional: ["5"] },
+  { symbol: "11", name: "dominant eleventh", tones: ["1", "3", "5", "b7", "9", "11"], optional: ["3", "5", "9"] },
+  { symbol: "m11", name: "minor eleventh", tones: ["1", "b3", "5", "b7", "9", "11"], optional: ["5", "9"] },
+  { symbol: "maj7♯11", name: "major seventh sharp eleventh", tones: ["1", "3", "5", "7", "#11"], optional: ["5"] },
+  { symbol: "13", name: "dominant thirteenth", tones: ["1", "3", "5", "b7", "9", "13"], optional: ["5", "9"] },
+  { symbol: "maj13", name: "major thirteenth", tones: ["1", "3", "5", "7", "9", "13"], optional: ["5", "9"] },
+  { symbol: "m13", name: "minor thirteenth", tones: ["1", "b3", "5", "b7", "9", "13"], optional: ["5", "9"] },
+];
+
+const INTERVALS = [
+  "octave",
+  "minor second",
+  "major second",
+  "minor third",
+  "major third",
+  "perfect fourth",
+  "tritone",
+  "perfect fifth",
+  "minor sixth",
+  "major sixth",
+  "minor seventh",
+  "major seventh",
+];
+
+const INVERSIONS = { 2: "first inversion", 4: "second inversion", 6: "third inversion" };
+
+// Krumhansl-Kessler key profiles: how strongly each scale degree suggests a key
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Each note played counts a little less than the one after it
+const KEY_MEMORY = 0.95;
+
+// Played this much (in notes) before guessing a key, C major until then
+const MIN_KEY_WEIGHT = 4;
+
+const LETTERS = "CDEFGAB";
+const NATURAL_PITCH_CLASSES = [0, 2, 4, 5, 7, 9, 11];
+
+// Letters along the line of fifths, F is position -1, C 0, G 1...
+const FIFTHS_LETTERS = "FCGDAEB";
+
+function mod(value, divisor) {
+  return ((value % divisor) + divisor) % divisor;
+}
+
+// The tonic's position on the line of fifths, with the fewest accidentals
+function keySignature(tonic, minor) {
+  const relativeMajor = minor ? mod(tonic + 3, 12) : tonic;
+  const fifths = mod(relativeMajor * 7, 12);
+  return fifths > 6 ? fifths - 12 : fifths;
+}
+
+// A note's letter (0-6 from C) and accidental (-2 to 2)
+function spelling(letter, pitchClass) {
+  return { letter, accidental: mod(pitchClass - NATURAL_PITCH_CLASSES[letter] + 6, 12) - 6 };
+}
+
+function spellingName({ letter, accidental }) {
+  const sign = accidental > 0 ? "♯" : "♭";
+  return LETTERS[letter] + sign.repeat(Math.abs(accidental));
+}
+
+// Spell a pitch class the way the key would: the enharmonic closest to the
+// key's center on the line of fifths. Returns { letter, accidental }.
+export function spellInKey(pitchClass, key) {
+  const center = key.fifths + (key.minor ? 3 : 2); // Minor keys lean sharp for their leading tone
+  const base = mod(pitchClass * 7, 12);
+  const position = [base - 12, base, base + 12].reduce((best, candidate) =>
+    Math.abs(candidate - center) < Math.abs(best - center) ? candidate : best
+  );
+  return spelling(LETTERS.indexOf(FIFTHS_LETTERS[mod(position + 1, 7)]), pitchClass);
+}
+
+// Spell a chord tone from its root, so the third of A♭ is C and not B♯
+function spellFromRoot(root, [, letters], pitchClass) {
+  return spelling(mod(root.letter + letters, 7), pitchClass);
+}
+
+// Guesses the key from the notes played lately
+export class KeyTracker {
+  constructor() {
+    this.weights = new Array(12).fill(0); // Pitch class -> how much it's been played lately
+    this.key = { tonic: 0, minor: false, fifths: 0 };
+  }
+
+  noteOn(note) {
+    this.weights = this.weights.map((weight) => weight * KEY_MEMORY);
+    this.weights[note % 12] += 1;
+    this.key = this.estimate();
+  }
+
+  reset() {
+    this.weights.fill(0);
+    this.key = { tonic: 0, minor: false, fifths: 0 };
+  }
+
+  // The major or minor key whose profile best correlates with what's been played
+  estimate() {
+    const total = this.weights.reduce((sum, weight) => sum + weight, 0);
+    if (total < MIN_KEY_WEIGHT) return this.key;
+
+    const mean = total / 12;
+    let best = null;
+    [false, true].forEach((minor) => {
+      const profile = minor ? MINOR_PROFILE : MAJOR_PROFILE;
+      const profileMean = profile.reduce((sum, value) => sum + value, 0) / 12;
+
+      for (let tonic = 0; tonic < 12; tonic++) {
+        let covariance = 0;
+        let weightVariance = 0;
+        let profileVariance = 0;
+        for (let pc = 0; pc < 12; pc++) {
+          const weight = this.weights[pc] - mean;
+          const expected = profile[mod(pc - tonic, 12)] - profileMean;
+          covariance += weight * expected;
+          weightVariance += weight * weight;
+          profileVariance += expected * expected;
+        }
+        const correlation = covariance / Math.sqrt(weightVariance * profileVariance || 1);
+        if (!best || correlation > best.correlation) {
+          best = { tonic, minor, correlation };
+        }
+      }
+    });
+
+    return { tonic: best.tonic, minor: best.minor, fifths: keySignature(best.tonic, best.minor) };
+  }
+
+  get name() {
+    const { tonic, minor } = this.key;
+    return `${spellingName(spellInKey(tonic, this.key))} ${minor ? "minor" : "major"}`;
+  }
+}
+
+// Name the notes sounding together (MIDI numbers) in the given key.
+// Returns { symbol, name } like { symbol: "Cmaj7/E", name: "C major seventh,
+// first inversion" }, or null when nothing is sounding.
+export function recognizeChord(notes, key = { tonic: 0, minor: false, fifths: 0 }) {
+  if (notes.length === 0) return null;
+
+  const sorted = [...notes].sort((a, b) => a - b);
+  const bass = sorted[0];
+  const pitchClasses = [...new Set(sorted.map((note) => note % 12))];
+
+  if (pitchClasses.length === 1) {
+    const name = spellingName(spellInKey(bass % 12, key));
+    return { symbol: name, name: sorted.length > 1 ? `${name} in octaves` : name };
+  }
+
+  if (pitchClasses.length === 2) {
+    const top = sorted.find((note) => note % 12 !== bass % 12);
+    const semitones = top - bass;
+    const lower = spellInKey(bass % 12, key);
+    const upper = spellInKey(top % 12, key);
+    const compound = semitones > 12 ? "compound " : "";
+    return {
+      symbol: `${spellingName(lower)}–${spellingName(upper)}`,
+      name: `${compound}${INTERVALS[semitones % 12]}`,
+    };
+  }
+
+  const match = bestChord(pitchClasses, bass % 12);
+  if (!match) {
+    return {
+      symbol: pitchClasses.map((pc) => spellingName(spellInKey(pc, key))).join(" "),
+      name: "unrecognized chord",
+    };
+  }
+
+  const { chord, root } = match;
+  const rootSpelling = spellInKey(root, key);
+  const rootName = spellingName(rootSpelling);
+  let symbol = `${rootName}${chord.symbol}`;
+  let name = `${rootName} ${chord.name}`;
+
+  if (bass % 12 !== root) {
+    const degree = chord.tones.find((tone) => mod(root + DEGREES[tone][0], 12) === bass % 12);
+    const bassName = spellingName(spellFromRoot(rootSpelling, DEGREES[degree], bass % 12));
+    symbol += `/${bassName}`;
+    name += `, ${INVERSIONS[DEGREES[degree][1]] || `over ${bassName}`}`;
+  }
+
+  return { symbol, name };
+}
+
+// The chord (and its root) the pitch classes spell best: every note has to
+// belong to it, the bass is the likeliest root, missing tones count against
+function bestChord(pitchClasses, bassPitchClass) {
+  let best = null;
+
+  pitchClasses.forEach((root) => {
+    const intervals = new Set(pitchClasses.map((pc) => mod(pc - root, 12)));
+
+    CHORDS.forEach((chord, index) => {
+      const optional = chord.optional || [];
+      const semitones = chord.tones.map((tone) => DEGREES[tone][0]);
+      const required = chord.tones.filter((tone) => !optional.includes(tone));
+
+      if (![...intervals].every((interval) => semitones.includes(interval))) return;
+      if (!required.every((tone) => intervals.has(DEGREES[tone][0]))) return;
+
+      const missing = chord.tones.length - intervals.size;
+      const score = (root === bassPitchClass ? 0 : 2) + missing + index / CHORDS.length;
+      if (!best || score < best.score) {
+        best = { chord, root, score };
+      }
+    });
+  });
+
+  return best;
+}
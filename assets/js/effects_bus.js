@@ -0,0 +1,57 @@
+// Room-wide effects between the instruments and the speakers:
+// EQ -> compressor -> delay -> reverb -> limiter
+
+import * as Tone from "tone";
+
+// Smooth setting changes so dragging a slider doesn't click
+const RAMP_SECONDS = 0.1;
+
+export class EffectsBus {
+  constructor() {
+    // Everything that makes sound connects here
+    this.input = new Tone.Gain();
+    this.eq = new Tone.EQ3({ low: 0, mid: 0, high: 0 });
+    this.compressor = new Tone.Compressor({ threshold: 0, ratio: 1 });
+    this.delay = new Tone.FeedbackDelay({ delayTime: 0.25, feedback: 0.3, wet: 0 });
+    this.reverb = new Tone.Reverb({ decay: 2.5, wet: 0 });
+    // Always on, keeps a full room with loud effects from clipping
+    this.limiter = new Tone.Limiter(-1);
+
+    this.input.chain(this.eq, this.compressor, this.delay, this.reverb, this.limiter, Tone.getDestination());
+  }
+
+  // Apply the room's effect settings (as stored by RoomServer). Disabled
+  // effects stay in the chain but are set to pass the sound through unchanged.
+  apply({ reverb, delay, eq, compressor } = {}) {
+    if (reverb) {
+      // Changing the decay renders a new impulse response, only do it when needed
+      if (reverb.decay !== this.reverb.decay) {
+        this.reverb.decay = reverb.decay;
+      }
+      this.reverb.wet.rampTo(reverb.enabled ? reverb.wet : 0, RAMP_SECONDS);
+    }
+
+    if (delay) {
+      this.delay.delayTime.rampTo(delay.time, RAMP_SECONDS);
+      this.delay.feedback.rampTo(delay.feedback, RAMP_SECONDS);
+      this.delay.wet.rampTo(delay.enabled ? delay.wet : 0, RAMP_SECONDS);
+    }
+
+    if (eq) {
+      this.eq.low.rampTo(eq.enabled ? eq.low : 0, RAMP_SECONDS);
+      this.eq.mid.rampTo(eq.enabled ? eq.mid : 0, RAMP_SECONDS);
+      this.eq.high.rampTo(eq.enabled ? eq.high : 0, RAMP_SECONDS);
+    }
+
+    if (compressor) {
+      this.compressor.threshold.rampTo(compressor.enabled ? compressor.threshold : 0, RAMP_SECONDS);
+      this.compressor.ratio.rampTo(compressor.enabled ? compressor.ratio : 1, RAMP_SECONDS);
+    }
+  }
+
+  dispose() {
+    [this.input, this.eq, this.compressor, this.delay, this.reverb, this.limiter].forEach((node) =>
+      node.dispose()
+    );
+  }
+}
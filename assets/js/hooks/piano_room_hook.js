@@ -1,11 +1,118 @@
 // LiveView hook for the piano room
 
 import { Socket, Presence } from "phoenix";
-import { MidiHandler } from "../midi";
-import { Piano, startAudioContext } from "../piano";
-import { PianoKeyboard } from "../piano_keyboard";
+import { MidiHandler, midiNoteToName } from "../midi";
+import { Metronome } from "../metronome";
+import { parseMidiFile } from "../midi_file";
+import { MidiPlayer } from "../midi_player";
+import { MidiRecorder } from "../midi_recorder";
+import { NoteVisualizer, VISUALIZER_MODES } from "../note_visualizer";
+import { recognizeChord, KeyTracker } from "../chords";
+import { StaffNotation, NOTATION_GRIDS, DEFAULT_NOTATION_GRID } from "../notation";
+import { JitterBuffer, PLAYOUT_MODES, DEFAULT_PLAYOUT_MODE } from "../jitter_buffer";
+import {
+  Piano,
+  INSTRUMENTS,
+  LOCAL_PEER_ID,
+  startAudioContext,
+  audioNow,
+  audioOutputLatency,
+} from "../piano";
+import { KEY_LAYOUTS, parseKeyMap } from "../key_layouts";
+import { PianoKeyboard, KEYBOARD_RANGES, TOUCH_CURVES } from "../piano_keyboard";
+import { PlayerColors } from "../player_colors";
+import { ServerClock } from "../server_clock";
 import { WebRTCManager } from "../webrtc_manager";
 
+// Local storage keys for per-user preferences
+const PLAYOUT_MODE_STORAGE_KEY = "live_piano:playout_mode";
+const INSTRUMENT_STORAGE_KEY = "live_piano:instrument";
+const MIDI_DISABLED_INPUTS_STORAGE_KEY = "live_piano:midi_disabled_inputs";
+const MIDI_CHANNEL_STORAGE_KEY = "live_piano:midi_channel";
+const MIDI_OUTPUT_STORAGE_KEY = "live_piano:midi_output";
+const KEY_MAP_STORAGE_KEY = "live_piano:key_map";
+const TOUCH_VELOCITY_STORAGE_KEY = "live_piano:touch_velocity";
+const KEYBOARD_VIEW_STORAGE_KEY = "live_piano:keyboard_view";
+const VISUALIZER_STORAGE_KEY = "live_piano:visualizer";
+const NOTATION_GRID_STORAGE_KEY = "live_piano:notation_grid";
+
+// Zoom buttons change the key width by this factor
+const ZOOM_STEP = 1.25;
+
+// How often our held notes and pedal are sent to peers so they can recover
+// from lost note-off messages
+const SNAPSHOT_INTERVAL_MS = 2000;
+
+// Wake up this long before a scheduled remote event to hand it to the audio clock
+const SCHEDULE_AHEAD_MS = 20;
+
+// Short display name for a remote peer
+function peerLabel(peerId) {
+  return `Player ${peerId.slice(-4)}`;
+}
+
+// Pitch bend data bytes (LSB, MSB) as -1 (full down) to 1 (full up)
+function pitchBendValue(lsb, msb) {
+  return (((msb << 7) | lsb) - 8192) / 8192;
+}
+
+// MIDI input choices from a previous session
+function loadMidiSettings() {
+  let disabledInputs = [];
+  try {
+    disabledInputs = JSON.parse(localStorage.getItem(MIDI_DISABLED_INPUTS_STORAGE_KEY)) || [];
+  } catch (_err) {
+    // Corrupt value, start over with every input enabled
+  }
+  const channel = Number(localStorage.getItem(MIDI_CHANNEL_STORAGE_KEY));
+  return {
+    disabledInputs,
+    channel: channel >= 1 && channel <= 16 ? channel : null,
+    outputId: localStorage.getItem(MIDI_OUTPUT_STORAGE_KEY),
+  };
+}
+
+function saveMidiSettings(midiHandler) {
+  localStorage.setItem(MIDI_DISABLED_INPUTS_STORAGE_KEY, JSON.stringify([...midiHandler.disabledInputs]));
+  if (midiHandler.channel === null) {
+    localStorage.removeItem(MIDI_CHANNEL_STORAGE_KEY);
+  } else {
+    localStorage.setItem(MIDI_CHANNEL_STORAGE_KEY, String(midiHandler.channel));
+  }
+  if (midiHandler.outputId === null) {
+    localStorage.removeItem(MIDI_OUTPUT_STORAGE_KEY);
+  } else {
+    localStorage.setItem(MIDI_OUTPUT_STORAGE_KEY, midiHandler.outputId);
+  }
+}
+
+// Computer keyboard mapping from a previous session: { layout } for a preset,
+// { layout: "custom", keyMap } for a rebound one, or null
+function loadKeyMap() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(KEY_MAP_STORAGE_KEY));
+    if (saved && KEY_LAYOUTS[saved.layout]) return { layout: saved.layout };
+
+    const keyMap = saved && parseKeyMap(saved.keyMap);
+    return keyMap ? { layout: "custom", keyMap } : null;
+  } catch (_err) {
+    return null;
+  }
+}
+
+// Tone.js audio time as a Web MIDI timestamp (performance.now() milliseconds)
+function midiTimestamp(time) {
+  return time === undefined ? undefined : performance.now() + (time - audioNow()) * 1000;
+}
+
+// Format milliseconds as m:ss
+function formatTime(ms) {
+  const totalSeconds = Math.floor(ms / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${minutes}:${seconds}`;
+}
+
 const PianoRoom = {
   mounted() {
     console.log("PianoRoom hook mounted");
@@ -23,10 +130,22 @@ const PianoRoom = {
     }
 
     // Initialize components
-    this.piano = new Piano();
+    this.piano = new Piano({
+      samplesBaseUrl: this.el.dataset.samplesBaseUrl,
+      onLoadStateChange: (instrumentId, state) => this.handleLoadStateChange(instrumentId, state),
+      onQueuedNotesChange: (count) => this.updateQueuedNotes(count),
+      onSoundingNotesChange: () => this.scheduleChordUpdate(),
+    });
+    this.keyTracker = new KeyTracker(); // Key of the room's playing, for spelling chord names
+    this.chordFrame = null;
+    this.recorder = new MidiRecorder();
+    this.jitterBuffer = new JitterBuffer(
+      localStorage.getItem(PLAYOUT_MODE_STORAGE_KEY) || DEFAULT_PLAYOUT_MODE
+    );
+    this.scheduledMidi = new Map(); // Timers for remote events waiting in the jitter buffer -> peerId
 
     // Start preloading samples immediately (doesn't require user interaction)
-    this.piano.preload();
+    this.piano.preload(localStorage.getItem(INSTRUMENT_STORAGE_KEY) || undefined);
 
     // Setup keyboard with callbacks - everyone can play
     this.keyboard = new PianoKeyboard(
@@ -40,10 +159,19 @@ const PianoRoom = {
       (note) => {
         this.sendMidiEvent("off", note, 0);
         this.stopNote(note); // Stop locally immediately
-      }
+      },
+      // onSettingsChange - hotkeys, rebinding, pinch zoom
+      (settings) => this.updateKeyboardControls(settings)
     );
+    this.playerColors = new PlayerColors();
+    this.keyboard.colorFor = (source) => this.colorOf(source);
     this.keyboard.render();
 
+    this.restoreKeyboardSettings();
+    this.setupKeyboardControls();
+    this.setupVisualizer();
+    this.setupNotation();
+
     // Scroll to center on middle C (C4) after a short delay
     setTimeout(() => {
       this.scrollToMiddleC();
@@ -55,17 +183,64 @@ const PianoRoom = {
     this.audioStarted = false;
     this.localPeerId = null;
     this.pendingPresenceState = null; // Store presence until WebRTC is ready
+    this.peerStats = new Map(); // peerId -> { rtt, offset, route } from WebRTCManager
+    this.localHeldNotes = new Set(); // Notes we're holding, for snapshots
+    this.localSustain = false;
+    this.localControls = { sostenuto: false, soft: false, pitchbend: 8192, cc: {} }; // For snapshots
+    this.remoteState = new Map(); // peerId -> { notes: Map(note -> sentAt), pedals, controllers } as heard from that peer
+    this.snapshotTimer = null;
     this.currentInstrument = null;
+    this.mixerRows = new Map(); // peerId -> mixer panel row elements
+    this.serverClock = null;
+    this.metronome = null;
 
     // Listen for LiveView events
     this.handleEvent("select_instrument", ({ instrument }) => {
       console.log("Select instrument event from LiveView:", instrument);
-      // Push to channel to broadcast to all users
+      // Push to channel, other players learn it through our presence
+      if (this.channel) {
+        this.channel.push("instrument_change", { instrument })
+          .receive("ok", (resp) => {
+            localStorage.setItem(INSTRUMENT_STORAGE_KEY, resp.instrument);
+            this.handleInstrumentChange(resp.instrument);
+          })
+          .receive("error", (resp) => {
+            console.error("Instrument change rejected:", resp);
+          });
+      }
+    });
+
+    this.handleEvent("retry_instrument", ({ instrument }) => {
+      this.piano.retryInstrument(instrument);
+    });
+
+    this.handleEvent("update_effects", ({ effects }) => {
       if (this.channel) {
-        this.channel.push("instrument_change", { instrument });
+        this.channel.push("effects_change", { effects })
+          .receive("error", (resp) => {
+            console.error("Effects change rejected:", resp);
+          });
       }
     });
 
+    this.handleEvent("update_metronome", ({ metronome }) => {
+      if (this.channel) {
+        this.channel.push("metronome_change", { metronome })
+          .receive("error", (resp) => {
+            console.error("Metronome change rejected:", resp);
+          });
+      }
+    });
+
+    this.handleEvent("toggle_recording", () => {
+      this.toggleRecording();
+    });
+
+    // MIDI file playback (file picker and drag & drop)
+    this.setupMidiPlayer();
+
+    this.setupPlayoutModePicker();
+
     // Connect to channel
     this.connectChannel();
 
@@ -77,7 +252,9 @@ const PianoRoom = {
     const socket = new Socket("/socket", {});
     socket.connect();
 
-    this.channel = socket.channel(`room:${this.slug}`, {});
+    this.channel = socket.channel(`room:${this.slug}`, {
+      instrument: localStorage.getItem(INSTRUMENT_STORAGE_KEY),
+    });
 
     // Handle presence using Phoenix Presence for proper state sync
     this.presence = new Presence(this.channel);
@@ -86,12 +263,28 @@ const PianoRoom = {
       const count = this.presence.list().length;
       console.log("Presence sync - peer count:", count);
       this.updateListenerCount(count);
+      this.syncRemoteInstruments();
+      this.updatePlayerColors();
+      this.renderParticipants();
+      this.renderMixer();
+    });
+
+    // Room effect settings, changed by anyone in the room
+    this.channel.on("effects_state", ({ effects }) => {
+      this.handleEffectsState(effects);
+    });
+
+    // Shared metronome, clicks line up with the server clock
+    this.serverClock = new ServerClock(this.channel, () => {
+      if (this.metronome) this.metronome.sync();
+      this.updateNotationTiming();
+    });
+    this.metronome = new Metronome(this.serverClock, (beat, beatsPerBar) => {
+      this.renderMetronomeBeat(beat, beatsPerBar);
     });
 
-    // Listen for instrument state broadcasts
-    this.channel.on("instrument_state", (payload) => {
-      console.log("Instrument state received:", payload.instrument);
-      this.handleInstrumentChange(payload.instrument);
+    this.channel.on("metronome_state", ({ metronome }) => {
+      this.handleMetronomeState(metronome);
     });
 
     this.channel.join()
@@ -99,22 +292,47 @@ const PianoRoom = {
         console.log("Joined room successfully", resp);
         this.localPeerId = resp.peer_id;
 
-        // Set initial instrument from server
+        // Set our initial instrument from server
         if (resp.instrument) {
           this.handleInstrumentChange(resp.instrument);
         }
 
+        if (resp.effects) {
+          this.handleEffectsState(resp.effects);
+        }
+
+        this.serverClock.start();
+        if (resp.metronome) {
+          this.handleMetronomeState(resp.metronome);
+        }
+
         // Initialize WebRTC manager after we have our peer ID
         this.webrtcManager = new WebRTCManager(
           this.channel,
           // onMidiReceived - handle MIDI from other peers
-          (type, note, velocity) => {
-            this.handleIncomingMidi({ type, note, velocity });
+          (type, note, velocity, peerId, sentAt) => {
+            this.handleIncomingMidi({ type, note, velocity, peerId, sentAt });
           },
-          this.iceServers
+          this.iceServers,
+          // onPeerStats - round-trip time, clock offset and route per peer
+          (peerStats) => {
+            this.peerStats = peerStats;
+            this.renderParticipants();
+            this.renderMixer();
+          },
+          // onControlReceived - pedal, all-notes-off and snapshots over the reliable channel
+          (peerId, message) => {
+            this.handleControlMessage(peerId, message);
+          },
+          // onPeerDisconnected - release everything that peer was holding
+          (peerId) => {
+            this.handlePeerDisconnected(peerId);
+          }
         );
         this.webrtcManager.init(this.localPeerId);
 
+        this.snapshotTimer = setInterval(() => this.sendSnapshot(), SNAPSHOT_INTERVAL_MS);
+
         // Don't connect to existing peers here - they will initiate via peer_joined
         // This prevents "glare" where both sides send offers simultaneously
         this.pendingPresenceState = null;
@@ -124,6 +342,7 @@ const PianoRoom = {
       });
   },
 
+  // Our own instrument, confirmed by the server
   handleInstrumentChange(instrumentId) {
     if (instrumentId === this.currentInstrument) return;
 
@@ -135,6 +354,89 @@ const PianoRoom = {
     this.pushEvent("instrument_changed", { instrument: instrumentId });
   },
 
+  // Everyone plays through the room's effects, the server owns the settings
+  handleEffectsState(effects) {
+    console.log("Room effects:", effects);
+    this.piano.setEffects(effects);
+
+    // Let LiveView refresh the effects panel
+    this.pushEvent("effects_changed", {});
+  },
+
+  handleMetronomeState(metronome) {
+    console.log("Room metronome:", metronome);
+    this.metronome.update(metronome);
+    this.renderMetronomeBeat(null, metronome.beats_per_bar);
+    this.updateNotationTiming();
+
+    // Let LiveView refresh the metronome controls
+    this.pushEvent("metronome_changed", {});
+  },
+
+  // One dot per beat of the bar, the current beat lit (none while stopped)
+  renderMetronomeBeat(beat, beatsPerBar) {
+    const container = document.getElementById("metronome-beats");
+    if (!container) return;
+
+    if (container.children.length !== beatsPerBar) {
+      container.innerHTML = "";
+      for (let i = 0; i < beatsPerBar; i++) {
+        const dot = document.createElement("span");
+        dot.className = "inline-block h-2.5 w-2.5 rounded-full bg-base-300";
+        container.appendChild(dot);
+      }
+    }
+
+    Array.from(container.children).forEach((dot, index) => {
+      const lit = index === beat;
+      dot.classList.toggle("bg-base-300", !lit);
+      dot.classList.toggle(index === 0 ? "bg-primary" : "bg-secondary", lit);
+    });
+  },
+
+  // Mirror sample loading in the instrument picker (progress, errors, retry)
+  handleLoadStateChange(instrumentId, { status, loaded, total, error }) {
+    this.pushEvent("instrument_load_state", {
+      instrument: instrumentId,
+      status,
+      loaded,
+      total,
+      error: error || null,
+    });
+  },
+
+  // Show how many notes are waiting for samples to finish loading
+  updateQueuedNotes(count) {
+    const indicator = document.getElementById("queued-notes");
+    if (!indicator) return;
+
+    indicator.classList.toggle("hidden", count === 0);
+    indicator.textContent =
+      count === 1
+        ? "1 note queued, it will play once the samples load"
+        : `${count} notes queued, they will play once the samples load`;
+  },
+
+  // Every remote player is heard through the instrument in their presence meta
+  syncRemoteInstruments() {
+    const present = new Set();
+
+    this.presence.list((peerId, { metas }) => {
+      present.add(peerId);
+      const instrument = metas[0] && metas[0].instrument;
+      if (peerId !== this.localPeerId && instrument) {
+        this.piano.setInstrument(instrument, peerId);
+      }
+    });
+
+    // Free the samplers of players who left
+    [...this.piano.voices.keys()].forEach((source) => {
+      if (source !== LOCAL_PEER_ID && !present.has(source)) {
+        this.piano.removeSource(source);
+      }
+    });
+  },
+
   setupFirstInteraction() {
     const initOnInteraction = async () => {
       console.log("First interaction detected, initializing audio and MIDI...");
@@ -189,19 +491,31 @@ const PianoRoom = {
         this.stopNote(note); // Stop locally immediately
       },
       // onDevicesChanged
-      (devices) => {
-        console.log("MIDI devices changed:", devices);
-        this.updateMidiStatusUI(devices.length > 0);
-        this.pushEvent("midi_status", { connected: devices.length > 0 });
+      (devices, outputs) => {
+        const connected = devices.some((device) => device.enabled);
+        this.renderMidiDevices(devices);
+        this.renderMidiOutputs(outputs);
+        this.updateMidiStatusUI(connected);
+        this.pushEvent("midi_status", { connected });
       },
       // onSustainPedal
       (isDown) => {
         console.log("Sustain pedal:", isDown ? "down" : "up");
         this.sendSustainEvent(isDown);
-        this.piano.setSustainPedal(isDown);
+        this.playControl("sustain", isDown ? 1 : 0, 0);
+      },
+      // onControl - pitch bend, mod wheel, volume, other pedals, all notes/sound off
+      (type, data1, data2) => {
+        this.handleLocalControl(type, data1, data2);
       }
     );
 
+    this.midiHandler.configure(loadMidiSettings());
+    // Our own playing goes out on MIDI channel 1, other players on 2-16
+    this.midiHandler.outputChannelFor(LOCAL_PEER_ID);
+    this.setupMidiChannelPicker();
+    this.setupMidiOutputPicker();
+
     const success = await this.midiHandler.init();
     console.log("MIDI init result:", success);
 
@@ -210,6 +524,112 @@ const PianoRoom = {
     }
   },
 
+  // MIDI input panel: a checkbox per connected device, devices that are switched
+  // off are still listed so they can be switched back on
+  renderMidiDevices(devices) {
+    const container = document.getElementById("midi-devices");
+    if (!container) return;
+
+    container.replaceChildren();
+
+    if (devices.length === 0) {
+      const empty = document.createElement("p");
+      empty.className = "text-xs text-base-content/50";
+      empty.textContent = "No MIDI devices found";
+      container.appendChild(empty);
+      return;
+    }
+
+    devices.forEach((device) => {
+      const label = document.createElement("label");
+      label.className = "flex cursor-pointer items-center gap-2 text-sm";
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.className = "checkbox checkbox-sm";
+      checkbox.checked = device.enabled;
+      checkbox.addEventListener("change", () => {
+        this.midiHandler.setInputEnabled(device.id, checkbox.checked);
+        saveMidiSettings(this.midiHandler);
+      });
+
+      const name = document.createElement("span");
+      name.className = "truncate";
+      name.textContent = device.name;
+
+      const manufacturer = document.createElement("span");
+      manufacturer.className = "text-xs text-base-content/50";
+      manufacturer.textContent = device.manufacturer;
+
+      label.append(checkbox, name, manufacturer);
+      container.appendChild(label);
+    });
+  },
+
+  setupMidiChannelPicker() {
+    const select = document.getElementById("midi-channel");
+    if (!select) return;
+
+    select.replaceChildren();
+    const all = document.createElement("option");
+    all.value = "";
+    all.textContent = "All channels";
+    select.appendChild(all);
+
+    for (let channel = 1; channel <= 16; channel++) {
+      const option = document.createElement("option");
+      option.value = String(channel);
+      option.textContent = `Channel ${channel}`;
+      select.appendChild(option);
+    }
+    select.value = this.midiHandler.channel === null ? "" : String(this.midiHandler.channel);
+
+    select.addEventListener("change", () => {
+      this.midiHandler.setChannel(select.value ? Number(select.value) : null);
+      saveMidiSettings(this.midiHandler);
+    });
+  },
+
+  // Output port picker, "None" keeps the room on the built-in sound only
+  setupMidiOutputPicker() {
+    const select = document.getElementById("midi-output");
+    if (!select) return;
+
+    this.renderMidiOutputs([]);
+    select.addEventListener("change", () => {
+      this.midiHandler.setOutput(select.value || null);
+      saveMidiSettings(this.midiHandler);
+    });
+  },
+
+  renderMidiOutputs(outputs) {
+    const select = document.getElementById("midi-output");
+    if (!select) return;
+
+    select.replaceChildren();
+    const none = document.createElement("option");
+    none.value = "";
+    none.textContent = "None";
+    select.appendChild(none);
+
+    outputs.forEach((output) => {
+      const option = document.createElement("option");
+      option.value = output.id;
+      option.textContent = output.name;
+      select.appendChild(option);
+    });
+
+    const selected = outputs.find((output) => output.selected);
+    select.value = selected ? selected.id : "";
+  },
+
+  // Send a note or controller the room plays to the MIDI output, if one is picked
+  forwardToMidiOutput(source, type, data1, data2, time) {
+    if (this.midiHandler) {
+      this.midiHandler.sendOutput(source || LOCAL_PEER_ID, type, data1, data2, midiTimestamp(time));
+    }
+  },
+
   updateMidiStatusUI(connected) {
     const alertContainer = this.el.closest('main')?.querySelector('.alert');
     if (alertContainer) {
@@ -226,6 +646,14 @@ const PianoRoom = {
   },
 
   sendMidiEvent(type, note, velocity) {
+    this.recorder.record(LOCAL_PEER_ID, type, note, velocity);
+
+    if (type === "on") {
+      this.localHeldNotes.add(note);
+    } else if (type === "off") {
+      this.localHeldNotes.delete(note);
+    }
+
     // Send via WebRTC P2P to all connected peers
     if (this.webrtcManager) {
       this.webrtcManager.broadcastMidi(type, note, velocity);
@@ -233,28 +661,757 @@ const PianoRoom = {
   },
 
   sendSustainEvent(isDown) {
-    // Send sustain pedal via WebRTC P2P to all connected peers
+    this.recorder.record(LOCAL_PEER_ID, "sustain", isDown ? 1 : 0, 0);
+    this.localSustain = isDown;
+
+    // Pedal state goes over the reliable control channel so it can't get lost
+    if (this.webrtcManager) {
+      this.webrtcManager.broadcastControl({ type: "sustain", down: isDown });
+    }
+  },
+
+  // Controller or pedal from our MIDI device or the MIDI file player
+  handleLocalControl(type, note, velocity) {
+    if (type === "all_notes_off" || type === "all_sound_off") {
+      // Note-offs for everything we hold, pedals keep sustaining like on a real instrument.
+      // Keys held on screen or on the computer keyboard go through the keyboard so its
+      // next press of them plays again
+      this.keyboard.releaseLocalInput();
+      [...this.localHeldNotes].forEach((held) => {
+        this.sendMidiEvent("off", held, 0);
+        this.stopNote(held);
+        this.keyboard.unhighlightKey(held);
+      });
+
+      // All Sound Off also cuts release tails and pedalled notes, for everyone
+      if (type === "all_sound_off") {
+        this.piano.allSoundOff();
+        this.forwardToMidiOutput(LOCAL_PEER_ID, "all_sound_off", 0, 0);
+        if (this.webrtcManager) {
+          this.webrtcManager.broadcastControl({ type: "all_sound_off" });
+        }
+      }
+      return;
+    }
+
+    this.sendControlEvent(type, note, velocity);
+    this.playControl(type, note, velocity);
+  },
+
+  sendControlEvent(type, note, velocity) {
+    if (type === "sustain") {
+      this.sendSustainEvent(note === 1);
+      return;
+    }
+
+    this.recorder.record(LOCAL_PEER_ID, type, note, velocity);
+
+    if (type === "sostenuto" || type === "soft") {
+      // Pedals go over the reliable control channel, like sustain
+      this.localControls[type] = note === 1;
+      if (this.webrtcManager) {
+        this.webrtcManager.broadcastControl({ type, down: note === 1 });
+      }
+    } else if (type === "pitchbend" || type === "cc") {
+      // Continuous controllers are frequent and go over the fast MIDI channel,
+      // snapshots repair the final value if one gets lost
+      if (type === "pitchbend") {
+        this.localControls.pitchbend = (velocity << 7) | note;
+      } else {
+        this.localControls.cc[note] = velocity;
+      }
+      if (this.webrtcManager) {
+        this.webrtcManager.broadcastMidi(type, note, velocity);
+      }
+    }
+  },
+
+  // Apply a pedal or controller to one source's voice
+  playControl(type, note, velocity, time, source = LOCAL_PEER_ID) {
+    this.forwardToMidiOutput(source, type, note, velocity, time);
+
+    if (type === "sustain") {
+      this.piano.setSustainPedal(note === 1, time, source);
+    } else if (type === "sostenuto") {
+      this.piano.setSostenutoPedal(note === 1, time, source);
+    } else if (type === "soft") {
+      this.piano.setSoftPedal(note === 1, time, source);
+    } else if (type === "pitchbend") {
+      this.piano.setPitchBend(pitchBendValue(note, velocity), time, source);
+    } else if (type === "cc") {
+      this.piano.setController(note, velocity, time, source);
+    }
+  },
+
+  sendSnapshot() {
     if (this.webrtcManager) {
-      this.webrtcManager.broadcastMidi("sustain", isDown ? 1 : 0, 0);
+      this.webrtcManager.broadcastControl({
+        type: "snapshot",
+        notes: [...this.localHeldNotes],
+        sustain: this.localSustain,
+        sostenuto: this.localControls.sostenuto,
+        soft: this.localControls.soft,
+        pitchbend: this.localControls.pitchbend,
+        cc: this.localControls.cc,
+      });
     }
   },
 
+  handleControlMessage(peerId, message) {
+    const { sentAt } = message;
+
+    if (message.type === "sustain" || message.type === "sostenuto" || message.type === "soft") {
+      this.handleIncomingMidi({ type: message.type, note: message.down ? 1 : 0, velocity: 0, peerId, sentAt });
+    } else if (message.type === "all_notes_off" || message.type === "all_sound_off") {
+      this.handleIncomingMidi({ type: message.type, peerId, sentAt });
+    } else if (message.type === "snapshot" && Array.isArray(message.notes)) {
+      // Older clients only send notes and sustain, missing fields are left alone
+      this.handleIncomingMidi({
+        type: "snapshot",
+        notes: message.notes,
+        sustain: !!message.sustain,
+        sostenuto: message.sostenuto,
+        soft: message.soft,
+        pitchbend: message.pitchbend,
+        cc: message.cc,
+        peerId,
+        sentAt,
+      });
+    } else {
+      console.warn("Unknown control message:", message);
+    }
+  },
+
+  remoteStateFor(peerId) {
+    if (!this.remoteState.has(peerId)) {
+      this.remoteState.set(peerId, {
+        notes: new Map(),
+        sustain: false,
+        sostenuto: false,
+        soft: false,
+        pitchbend: 8192,
+        cc: {},
+        controlSentAt: new Map(), // "pitchbend" / CC number -> sentAt of the last change
+      });
+    }
+    return this.remoteState.get(peerId);
+  },
+
   handleIncomingMidi(payload) {
-    const { type, note, velocity } = payload;
+    const delay = this.jitterBuffer.delayFor(payload.peerId, payload.sentAt);
+
+    if (delay <= 0) {
+      this.applyIncomingMidi(payload);
+      return;
+    }
+
+    // Schedule the sound on the audio clock and wake up slightly early to
+    // update state and key highlights
+    const time = audioNow() + delay / 1000;
+    const timer = setTimeout(() => {
+      this.scheduledMidi.delete(timer);
+      this.applyIncomingMidi(payload, time);
+    }, Math.max(0, delay - SCHEDULE_AHEAD_MS));
+    this.scheduledMidi.set(timer, payload.peerId);
+  },
+
+  handlePeerDisconnected(peerId) {
+
+    // Drop events still waiting in the jitter buffer, a late note-on would stick
+    this.scheduledMidi.forEach((timerPeerId, timer) => {
+      if (timerPeerId === peerId) {
+        clearTimeout(timer);
+        this.scheduledMidi.delete(timer);
+      }
+    });
+
+    // Close the peer's notes as if note-offs had arrived (keeps recordings tidy),
+    // then make sure nothing of it keeps sounding or stays lit
+    if (this.remoteState.has(peerId)) {
+      this.applyIncomingMidi({ type: "all_notes_off", peerId });
+    }
+    this.piano.releaseSource(peerId);
+    if (this.midiHandler) {
+      this.midiHandler.releaseOutputSource(peerId);
+    }
+    this.keyboard.unhighlightSource(peerId);
+    this.remoteState.delete(peerId);
+    this.jitterBuffer.removePeer(peerId);
+  },
+
+  applyIncomingMidi(payload, time) {
+    const { type, note, velocity, peerId } = payload;
+    const state = this.remoteStateFor(peerId);
+
+    if (type === "all_notes_off" || type === "all_sound_off" || type === "snapshot") {
+      this.reconcileRemoteState(payload, state, time);
+      if (type === "all_sound_off") {
+        this.piano.allSoundOff(peerId);
+        this.forwardToMidiOutput(peerId, "all_sound_off", 0, 0, time);
+      }
+      return;
+    }
+
+    this.recorder.record(peerId, type, note, velocity);
+
+    if (type === "on") {
+      state.notes.set(note, payload.sentAt);
+    } else if (type === "off") {
+      state.notes.delete(note);
+    } else if (type === "sustain" || type === "sostenuto" || type === "soft") {
+      // note contains 1 for down, 0 for up
+      state[type] = note === 1;
+    } else if (type === "pitchbend") {
+      state.pitchbend = (velocity << 7) | note;
+      state.controlSentAt.set("pitchbend", payload.sentAt);
+    } else if (type === "cc") {
+      state.cc[note] = velocity;
+      state.controlSentAt.set(note, payload.sentAt);
+    }
+
+    if (type === "on") {
+      this.playNote(note, velocity, time, peerId);
+      this.keyboard.highlightKey(note, peerId);
+    } else if (type === "off") {
+      this.stopNote(note, time, peerId);
+      this.keyboard.unhighlightKey(note, peerId);
+    } else {
+      this.playControl(type, note, velocity, time, peerId);
+    }
+  },
+
+  // Release whatever a peer no longer holds according to an all-notes-off or a
+  // snapshot, as if the missing note-off / pedal-up messages had arrived
+  reconcileRemoteState(payload, state, time) {
+    const { type, peerId, sentAt } = payload;
+    const held = type === "snapshot" ? new Set(payload.notes) : new Set();
+    const sustain = type === "snapshot" ? payload.sustain : false;
+
+    [...state.notes].forEach(([note, noteSentAt]) => {
+      // A note-on sent after the snapshot may have overtaken it on the fast channel
+      const newer = type === "snapshot" && noteSentAt != null && sentAt != null && noteSentAt > sentAt;
+      if (!held.has(note) && !newer) {
+        this.applyIncomingMidi({ type: "off", note, velocity: 0, peerId }, time);
+      }
+    });
+
+    if (state.sustain !== sustain) {
+      this.applyIncomingMidi({ type: "sustain", note: sustain ? 1 : 0, velocity: 0, peerId }, time);
+    }
+
+    ["sostenuto", "soft"].forEach((pedal) => {
+      const down = type === "snapshot" ? payload[pedal] : false;
+      if (typeof down === "boolean" && state[pedal] !== down) {
+        this.applyIncomingMidi({ type: pedal, note: down ? 1 : 0, velocity: 0, peerId }, time);
+      }
+    });
+
+    if (type !== "snapshot") return;
+
+    // Continuous controllers, unless a newer change overtook the snapshot
+    const stale = (key) => {
+      const changedAt = state.controlSentAt.get(key);
+      return changedAt != null && sentAt != null && changedAt > sentAt;
+    };
+
+    // Pitch bend is a 14-bit value, anything else in a snapshot is dropped like a bad cc
+    const { pitchbend, cc } = payload;
+    const validBend = Number.isInteger(pitchbend) && pitchbend >= 0 && pitchbend <= 0x3fff;
+    if (validBend && pitchbend !== state.pitchbend && !stale("pitchbend")) {
+      this.applyIncomingMidi(
+        { type: "pitchbend", note: pitchbend & 0x7f, velocity: pitchbend >> 7, peerId, sentAt },
+        time
+      );
+    }
+
+    if (cc && typeof cc === "object") {
+      Object.entries(cc).forEach(([key, value]) => {
+        const controller = Number(key);
+        if (!Number.isInteger(value) || value < 0 || value > 127) return;
+        if (state.cc[controller] !== value && !stale(controller)) {
+          this.applyIncomingMidi({ type: "cc", note: controller, velocity: value, peerId, sentAt }, time);
+        }
+      });
+    }
+  },
+
+  setupPlayoutModePicker() {
+    const select = document.getElementById("playout-mode");
+    if (!select) return;
+
+    Object.entries(PLAYOUT_MODES).forEach(([id, mode]) => {
+      const option = document.createElement("option");
+      option.value = id;
+      option.textContent = mode.name;
+      select.appendChild(option);
+    });
+    select.value = this.jitterBuffer.mode;
+
+    select.addEventListener("change", () => {
+      this.jitterBuffer.setMode(select.value);
+      localStorage.setItem(PLAYOUT_MODE_STORAGE_KEY, select.value);
+    });
+  },
+
+  // Note bars above the keyboard, fed by the same highlights as the keys
+  setupVisualizer() {
+    const canvas = document.getElementById("note-visualizer");
+    if (!canvas) return;
+
+    this.visualizer = new NoteVisualizer(canvas, this.keyboard, (source) => this.colorOf(source));
+    this.keyboard.onHighlightChange = (note, source, down) => {
+      if (down) {
+        this.visualizer.noteOn(note, source);
+        if (this.notation) this.notation.noteOn(note, source);
+      } else {
+        this.visualizer.noteOff(note, source);
+        if (this.notation) this.notation.noteOff(note, source);
+      }
+    };
+
+    const select = document.getElementById("visualizer-mode");
+    const mode = localStorage.getItem(VISUALIZER_STORAGE_KEY);
+    this.visualizer.setMode(VISUALIZER_MODES[mode] ? mode : "rising");
+
+    if (select) {
+      Object.entries(VISUALIZER_MODES).forEach(([id, { name }]) => {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = name;
+        select.appendChild(option);
+      });
+      select.value = this.visualizer.mode;
+
+      select.addEventListener("change", () => {
+        this.visualizer.setMode(select.value);
+        localStorage.setItem(VISUALIZER_STORAGE_KEY, select.value);
+      });
+    }
+  },
+
+  // Grand staff transcription, running while its panel is open
+  setupNotation() {
+    const panel = document.getElementById("notation-panel");
+    const container = document.getElementById("notation-staff");
+    if (!panel || !container) return;
+
+    this.notation = new StaffNotation(container);
+    this.notation.setGrid(Number(localStorage.getItem(NOTATION_GRID_STORAGE_KEY)) || DEFAULT_NOTATION_GRID);
+    this.notation.setEnabled(panel.open);
+    panel.addEventListener("toggle", () => this.notation.setEnabled(panel.open));
+
+    const select = document.getElementById("notation-grid");
+    if (select) {
+      Object.entries(NOTATION_GRIDS).forEach(([grid, { name }]) => {
+        const option = document.createElement("option");
+        option.value = grid;
+        option.textContent = name;
+        select.appendChild(option);
+      });
+      select.value = this.notation.grid;
+
+      select.addEventListener("change", () => {
+        this.notation.setGrid(Number(select.value));
+        localStorage.setItem(NOTATION_GRID_STORAGE_KEY, select.value);
+      });
+    }
+
+    const clearButton = document.getElementById("notation-clear");
+    if (clearButton) {
+      clearButton.addEventListener("click", () => this.notation.clear());
+    }
+
+    const exportButton = document.getElementById("notation-export");
+    if (exportButton) {
+      exportButton.addEventListener("click", () => {
+        if (!this.notation.hasNotes()) {
+          return;
+        }
+        const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+        this.notation.download(`live-piano-${this.slug}-${stamp}.musicxml`, `Live Piano - ${this.slug}`);
+      });
+    }
+  },
+
+  // Quantize at the room metronome's tempo, bar lines on its downbeats while it runs
+  updateNotationTiming() {
+    if (!this.notation || !this.metronome || !this.metronome.state) return;
+
+    const { bpm, beats_per_bar: beatsPerBar, beat_unit: beatUnit, started_at: startedAt } =
+      this.metronome.state;
+    const downbeat =
+      this.metronome.running && this.serverClock.synced
+        ? performance.now() + (startedAt - this.serverClock.now())
+        : null;
+
+    this.notation.setTiming({ bpm, beatsPerBar, beatUnit, downbeat });
+  },
+
+  // Key mapping, touch response and view from a previous session
+  restoreKeyboardSettings() {
+    // Read everything first, applying a setting saves the current ones
+    const savedKeyMap = loadKeyMap();
+    let touch = {};
+    let view = {};
+    try {
+      touch = JSON.parse(localStorage.getItem(TOUCH_VELOCITY_STORAGE_KEY)) || {};
+      view = JSON.parse(localStorage.getItem(KEYBOARD_VIEW_STORAGE_KEY)) || {};
+    } catch (_err) {
+      // Corrupt value, keep the defaults
+    }
+
+    if (savedKeyMap && savedKeyMap.keyMap) {
+      this.keyboard.setKeyMap(savedKeyMap.keyMap);
+    } else if (savedKeyMap) {
+      this.keyboard.setLayout(savedKeyMap.layout);
+    }
+    if (touch.curve) this.keyboard.setTouchCurve(touch.curve);
+    if (touch.contact) this.keyboard.setContactVelocity(true);
+    if (view.range) this.keyboard.setRange(view.range);
+    if (Number.isFinite(view.zoom)) this.keyboard.setZoom(view.zoom);
+    if (view.follow) this.keyboard.setAutoFollow(true);
+  },
+
+  // Octave, transpose and velocity for the computer keyboard and mouse. The
+  // hotkeys change the same settings, updateKeyboardControls keeps both in step.
+  setupKeyboardControls() {
+    const controls = document.getElementById("keyboard-controls");
+    if (!controls) return;
+
+    controls.querySelectorAll("[data-octave]").forEach((button) => {
+      button.addEventListener("click", () => {
+        this.keyboard.setOctave(this.keyboard.octave + Number(button.dataset.octave));
+      });
+    });
+    controls.querySelectorAll("[data-transpose]").forEach((button) => {
+      button.addEventListener("click", () => {
+        this.keyboard.setTranspose(this.keyboard.transpose + Number(button.dataset.transpose));
+      });
+    });
+    controls.querySelectorAll("[data-zoom]").forEach((button) => {
+      button.addEventListener("click", () => {
+        this.keyboard.setZoom(this.keyboard.zoom * Math.pow(ZOOM_STEP, Number(button.dataset.zoom)));
+      });
+    });
+
+    const range = document.getElementById("keyboard-range");
+    if (range) {
+      Object.entries(KEYBOARD_RANGES).forEach(([id, preset]) => {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = preset.name;
+        range.appendChild(option);
+      });
+      range.addEventListener("change", () => {
+        this.keyboard.setRange(Number(range.value));
+        this.scrollToMiddleC();
+      });
+    }
+
+    const follow = document.getElementById("keyboard-follow");
+    if (follow) {
+      follow.addEventListener("change", () => this.keyboard.setAutoFollow(follow.checked));
+    }
+
+    const velocity = document.getElementById("keyboard-velocity");
+    if (velocity) {
+      velocity.addEventListener("input", () => this.keyboard.setVelocity(Number(velocity.value)));
+    }
+
+    // How on-screen strikes turn into velocity
+    const touchCurve = document.getElementById("touch-curve");
+    if (touchCurve) {
+      Object.entries(TOUCH_CURVES).forEach(([id, curve]) => {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = curve.name;
+        touchCurve.appendChild(option);
+      });
+      touchCurve.addEventListener("change", () => this.keyboard.setTouchCurve(touchCurve.value));
+    }
+
+    const touchContact = document.getElementById("touch-contact");
+    if (touchContact) {
+      touchContact.addEventListener("change", () => this.keyboard.setContactVelocity(touchContact.checked));
+    }
+
+    // Layout presets, "Custom" only shows up once a key has been rebound
+    const layout = document.getElementById("key-layout");
+    if (layout) {
+      Object.entries(KEY_LAYOUTS).forEach(([id, preset]) => {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = preset.name;
+        layout.appendChild(option);
+      });
+      const custom = document.createElement("option");
+      custom.value = "custom";
+      custom.textContent = "Custom";
+      custom.hidden = true;
+      layout.appendChild(custom);
+
+      layout.addEventListener("change", () => {
+        this.keyboard.setLayout(layout.value);
+      });
+    }
+
+    const rebind = document.getElementById("key-rebind");
+    if (rebind) {
+      rebind.addEventListener("click", () => {
+        if (this.keyboard.rebinding) {
+          this.keyboard.stopRebinding();
+        } else {
+          this.keyboard.startRebinding();
+        }
+      });
+    }
+
+    // Starts around middle C, which mounted() scrolls to already
+    this.lastKeyWindowLow = this.keyboard.keyWindow()?.low;
+    this.updateKeyboardControls(this.keyboard.settings);
+  },
+
+  updateKeyboardControls(settings) {
+    const { octave, transpose, velocity, layout, keyMap, rebinding, rebindNote } = settings;
+    const signed = (value) => (value > 0 ? `+${value}` : String(value));
+
+    const touchCurve = document.getElementById("touch-curve");
+    if (touchCurve) touchCurve.value = settings.touchCurve;
+
+    const touchContact = document.getElementById("touch-contact");
+    if (touchContact) {
+      touchContact.checked = settings.contactVelocity;
+      touchContact.disabled = settings.touchCurve === "fixed";
+    }
+
+    localStorage.setItem(
+      TOUCH_VELOCITY_STORAGE_KEY,
+      JSON.stringify({ curve: settings.touchCurve, contact: settings.contactVelocity })
+    );
+
+    const range = document.getElementById("keyboard-range");
+    if (range) range.value = String(settings.range);
+
+    const follow = document.getElementById("keyboard-follow");
+    if (follow) follow.checked = settings.autoFollow;
+
+    const zoomValue = document.getElementById("keyboard-zoom");
+    if (zoomValue) zoomValue.textContent = `${Math.round(settings.zoom * 100)}%`;
+
+    localStorage.setItem(
+      KEYBOARD_VIEW_STORAGE_KEY,
+      JSON.stringify({ range: settings.range, zoom: settings.zoom, follow: settings.autoFollow })
+    );
+
+    const layoutSelect = document.getElementById("key-layout");
+    if (layoutSelect) {
+      layoutSelect.querySelector('option[value="custom"]').hidden = layout !== "custom";
+      layoutSelect.value = layout;
+    }
+
+    const rebind = document.getElementById("key-rebind");
+    if (rebind) {
+      rebind.textContent = rebinding ? "Done" : "Rebind keys";
+      rebind.classList.toggle("btn-warning", rebinding);
+    }
+
+    const rebindStatus = document.getElementById("key-rebind-status");
+    if (rebindStatus) {
+      rebindStatus.hidden = !rebinding;
+      rebindStatus.textContent = rebindNote === null
+        ? "Click a key on the piano to rebind it, Esc when you're done"
+        : `Press the computer key for ${midiNoteToName(rebindNote)} (Backspace to unbind it)`;
+    }
+
+    // Save the mapping whenever it changes: a preset by name, a custom one in full
+    const keyMapJson = JSON.stringify(layout === "custom" ? { layout, keyMap } : { layout });
+    if (this.keyMapJson !== undefined && keyMapJson !== this.keyMapJson) {
+      localStorage.setItem(KEY_MAP_STORAGE_KEY, keyMapJson);
+    }
+    this.keyMapJson = keyMapJson;
+
+    const octaveValue = document.getElementById("keyboard-octave");
+    if (octaveValue) octaveValue.textContent = signed(octave);
 
+    const transposeValue = document.getElementById("keyboard-transpose");
+    if (transposeValue) transposeValue.textContent = signed(transpose);
+
+    const velocityInput = document.getElementById("keyboard-velocity");
+    if (velocityInput) velocityInput.value = velocity;
+
+    const velocityValue = document.getElementById("keyboard-velocity-value");
+    if (velocityValue) velocityValue.textContent = velocity;
+
+    // Bring the keys the computer keyboard now plays into view
+    const keyWindow = this.keyboard.keyWindow();
+    if (keyWindow && keyWindow.low !== this.lastKeyWindowLow) {
+      this.lastKeyWindowLow = keyWindow.low;
+      this.scrollToNote(Math.round((keyWindow.low + keyWindow.high) / 2));
+    }
+  },
+
+  toggleRecording() {
+    let empty = false;
+
+    if (this.recorder.recording) {
+      this.recorder.stop();
+
+      if (this.recorder.hasEvents()) {
+        const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+        this.recorder.download(`live-piano-${this.slug}-${stamp}.mid`, (peerId) =>
+          peerId === LOCAL_PEER_ID ? "You" : peerLabel(peerId)
+        );
+      } else {
+        empty = true; // LiveView tells the player nothing was saved
+      }
+    } else {
+      this.recorder.start();
+    }
+
+    this.pushEvent("recording_changed", { recording: this.recorder.recording, empty });
+  },
+
+  setupMidiPlayer() {
+    this.midiPlayer = new MidiPlayer(
+      (type, note, velocity) => this.handlePlayerEvent(type, note, velocity),
+      (state) => this.updatePlayerUI(state)
+    );
+    this.playerProgressTimer = null;
+
+    this.playerUI = {
+      root: document.getElementById("midi-player"),
+      toggle: document.getElementById("midi-player-toggle"),
+      title: document.getElementById("midi-player-title"),
+      seek: document.getElementById("midi-player-seek"),
+      time: document.getElementById("midi-player-time"),
+      tempo: document.getElementById("midi-player-tempo"),
+      tempoValue: document.getElementById("midi-player-tempo-value"),
+      close: document.getElementById("midi-player-close"),
+    };
+    const ui = this.playerUI;
+
+    ui.toggle.addEventListener("click", () => {
+      if (this.midiPlayer.playing) {
+        this.midiPlayer.pause();
+      } else {
+        this.midiPlayer.play();
+      }
+    });
+
+    // Show the target time while dragging, jump when released
+    ui.seek.addEventListener("input", () => {
+      ui.seeking = true;
+      const position = (ui.seek.value / 1000) * this.midiPlayer.duration;
+      ui.time.textContent = `${formatTime(position)} / ${formatTime(this.midiPlayer.duration)}`;
+    });
+    ui.seek.addEventListener("change", () => {
+      ui.seeking = false;
+      this.midiPlayer.seek((ui.seek.value / 1000) * this.midiPlayer.duration);
+    });
+
+    ui.tempo.addEventListener("input", () => {
+      this.midiPlayer.setTempo(ui.tempo.value / 100);
+    });
+
+    ui.close.addEventListener("click", () => {
+      this.midiPlayer.stop();
+      ui.root.classList.add("hidden");
+    });
+
+    const fileInput = document.getElementById("midi-file-input");
+    if (fileInput) {
+      fileInput.addEventListener("change", () => {
+        if (fileInput.files.length > 0) {
+          this.loadMidiFile(fileInput.files[0]);
+        }
+        fileInput.value = "";
+      });
+    }
+
+    // Drag & drop anywhere on the page
+    this.onDragOver = (e) => {
+      if (!e.dataTransfer || !e.dataTransfer.types.includes("Files")) return;
+      e.preventDefault();
+      this.el.classList.add("ring-2", "ring-primary", "rounded-box");
+    };
+    this.onDragLeave = (e) => {
+      // Only when leaving the window, not when moving between children
+      if (e.relatedTarget) return;
+      this.el.classList.remove("ring-2", "ring-primary", "rounded-box");
+    };
+    this.onDrop = (e) => {
+      if (!e.dataTransfer || e.dataTransfer.files.length === 0) return;
+      e.preventDefault();
+      this.el.classList.remove("ring-2", "ring-primary", "rounded-box");
+      this.loadMidiFile(e.dataTransfer.files[0]);
+    };
+    window.addEventListener("dragover", this.onDragOver);
+    window.addEventListener("dragleave", this.onDragLeave);
+    window.addEventListener("drop", this.onDrop);
+  },
+
+  async loadMidiFile(file) {
+    const ui = this.playerUI;
+    ui.root.classList.remove("hidden");
+    ui.title.classList.remove("text-error");
+
+    try {
+      const song = parseMidiFile(await file.arrayBuffer());
+      if (song.events.length === 0) {
+        throw new Error("The file contains no notes");
+      }
+
+      this.midiPlayer.load(song);
+      ui.title.textContent = file.name;
+      ui.title.title = file.name;
+      ui.toggle.disabled = false;
+    } catch (err) {
+      console.error("Failed to load MIDI file:", err);
+      this.midiPlayer.load({ events: [], duration: 0 });
+      ui.title.textContent = `Can't play ${file.name}: ${err.message}`;
+      ui.title.classList.add("text-error");
+      ui.toggle.disabled = true;
+    }
+  },
+
+  // File events are played locally and broadcast like our own playing
+  handlePlayerEvent(type, note, velocity) {
     if (type === "on") {
+      this.sendMidiEvent("on", note, velocity);
       this.playNote(note, velocity);
       this.keyboard.highlightKey(note);
     } else if (type === "off") {
+      this.sendMidiEvent("off", note, 0);
       this.stopNote(note);
       this.keyboard.unhighlightKey(note);
-    } else if (type === "sustain") {
-      // note contains 1 for down, 0 for up
-      this.piano.setSustainPedal(note === 1);
+    } else {
+      this.handleLocalControl(type, note, velocity);
     }
   },
 
-  async playNote(note, velocity) {
+  updatePlayerUI({ playing, position, duration, tempo }) {
+    const ui = this.playerUI;
+    ui.toggle.textContent = playing ? "Pause" : "Play";
+    if (!ui.seeking) {
+      ui.seek.value = duration > 0 ? Math.round((position / duration) * 1000) : 0;
+      ui.time.textContent = `${formatTime(position)} / ${formatTime(duration)}`;
+    }
+    ui.tempoValue.textContent = `${Math.round(tempo * 100)}%`;
+
+    // Keep the seek bar moving while playing
+    if (playing && !this.playerProgressTimer) {
+      this.playerProgressTimer = setInterval(() => this.midiPlayer.notifyStateChange(), 250);
+    } else if (!playing && this.playerProgressTimer) {
+      clearInterval(this.playerProgressTimer);
+      this.playerProgressTimer = null;
+    }
+  },
+
+  async playNote(note, velocity, time, source) {
+    this.forwardToMidiOutput(source, "on", note, velocity, time);
+    this.keyTracker.noteOn(note);
+    if (this.notation) this.notation.setKey(this.keyTracker.key);
+
     // Try to start audio if not already started
     if (!this.audioStarted) {
       // Check if audio context is suspended (needs user gesture on mobile)
@@ -275,7 +1432,7 @@ const PianoRoom = {
       }
     }
 
-    this.piano.playNote(note, velocity);
+    this.piano.playNote(note, velocity, time, source);
   },
 
   showAudioEnablePrompt() {
@@ -312,8 +1469,9 @@ const PianoRoom = {
     });
   },
 
-  stopNote(note) {
-    this.piano.stopNote(note);
+  stopNote(note, time, source) {
+    this.forwardToMidiOutput(source, "off", note, 0, time);
+    this.piano.stopNote(note, time, source);
   },
 
   updateListenerCount(count) {
@@ -323,31 +1481,307 @@ const PianoRoom = {
     }
   },
 
-  scrollToMiddleC() {
-    const container = document.querySelector(".piano-container");
-    const middleCKey = document.querySelector('[data-note="60"]'); // C4
+  // Participant chips in the header with network and audio latency
+  // Our own notes use the "local" source, colored like our peer id is for others
+  colorOf(source) {
+    return this.playerColors.colorOf(source === LOCAL_PEER_ID ? this.localPeerId || source : source);
+  },
+
+  // Metas can arrive in a different order on each browser, so a peer counts as joined at its
+  // earliest one and ties fall back to the peer id
+  updatePlayerColors() {
+    this.playerColors.update(
+      this.presence.list((peerId, { metas }) => ({
+        id: peerId,
+        joinedAt: Math.min(...metas.map((meta) => meta.joined_at || 0)),
+      }))
+    );
+    this.keyboard.refreshKeyColors();
+    this.renderPlayerLegend();
+  },
 
-    if (container && middleCKey) {
-      const containerRect = container.getBoundingClientRect();
-      const keyRect = middleCKey.getBoundingClientRect();
+  // Which color is who, shown above the keyboard
+  renderPlayerLegend() {
+    const container = document.getElementById("player-legend");
+    if (!container || !this.presence) return;
 
-      // Calculate scroll position to center middle C
-      const scrollLeft = middleCKey.offsetLeft - (containerRect.width / 2) + (keyRect.width / 2);
+    container.replaceChildren();
+    this.presence.list((peerId) => peerId).forEach((peerId) => {
+      const entry = document.createElement("span");
+      entry.className = "flex items-center gap-1";
 
-      container.scrollTo({
-        left: Math.max(0, scrollLeft),
-        behavior: "smooth"
-      });
+      const swatch = document.createElement("span");
+      swatch.className = "inline-block h-3 w-3 rounded-sm";
+      swatch.style.background = this.playerColors.colorOf(peerId);
+
+      const name = document.createElement("span");
+      name.textContent = peerId === this.localPeerId ? "You" : peerLabel(peerId);
+
+      entry.append(swatch, name);
+      container.appendChild(entry);
+    });
+  },
+
+  // Name the chords once per frame, however many notes change before it
+  scheduleChordUpdate() {
+    if (this.chordFrame === null) {
+      this.chordFrame = requestAnimationFrame(() => this.renderChords());
     }
   },
 
+  // The chord the whole room is sounding, and each player's own
+  renderChords() {
+    this.chordFrame = null;
+    const roomChord = document.getElementById("room-chord");
+    const roomChordName = document.getElementById("room-chord-name");
+    const playerChords = document.getElementById("player-chords");
+    if (!roomChord || !playerChords) return;
+
+    const key = this.keyTracker.key;
+    const roomNotes = new Set();
+    playerChords.replaceChildren();
+
+    [...this.piano.voices.keys()].forEach((source) => {
+      const notes = this.piano.soundingNotes(source);
+      if (notes.length === 0) return;
+      notes.forEach((note) => roomNotes.add(note));
+
+      const chord = recognizeChord(notes, key);
+      const entry = document.createElement("span");
+      entry.className = "flex items-center gap-1";
+      entry.title = chord.name;
+
+      const swatch = document.createElement("span");
+      swatch.className = "inline-block h-3 w-3 rounded-sm";
+      swatch.style.background = this.colorOf(source);
+
+      const label = document.createElement("span");
+      label.className = "text-base-content/70";
+      label.textContent = source === LOCAL_PEER_ID ? "You" : peerLabel(source);
+
+      const symbol = document.createElement("span");
+      symbol.className = "font-semibold";
+      symbol.textContent = chord.symbol;
+
+      entry.append(swatch, label, symbol);
+      playerChords.appendChild(entry);
+    });
+
+    const chord = recognizeChord([...roomNotes], key);
+    roomChord.textContent = chord ? chord.symbol : "–";
+    if (roomChordName) {
+      roomChordName.textContent = chord ? `${chord.name} · ${this.keyTracker.name}` : this.keyTracker.name;
+    }
+  },
+
+  renderParticipants() {
+    const container = document.getElementById("participants");
+    if (!container || !this.presence) return;
+
+    container.innerHTML = "";
+    this.presence.list((peerId) => peerId).forEach((peerId) => {
+      const chip = document.createElement("span");
+      chip.className = "badge badge-sm badge-ghost gap-1 font-mono";
+
+      if (peerId === this.localPeerId) {
+        const latency = this.audioStarted ? Math.round(audioOutputLatency()) : null;
+        chip.textContent = latency === null ? "You" : `You · out ${latency}ms`;
+        chip.title = "Your audio output latency (scheduling look-ahead + audio device)";
+      } else {
+        const stats = this.peerStats.get(peerId);
+        const instrument = INSTRUMENTS[this.piano.instrumentOf(peerId)];
+        chip.textContent = peerLabel(peerId);
+        if (instrument) chip.textContent += ` · ${instrument.name}`;
+
+        if (stats && stats.rtt !== null) {
+          const rtt = Math.round(stats.rtt);
+          chip.textContent += ` · ${rtt}ms`;
+          if (stats.route === "relay") chip.textContent += " · relay";
+
+          chip.classList.remove("badge-ghost");
+          chip.classList.add(rtt < 60 ? "badge-success" : rtt < 150 ? "badge-warning" : "badge-error");
+          chip.title = [
+            `Round trip: ${rtt}ms`,
+            `Clock offset: ${Math.round(stats.offset)}ms`,
+            `Route: ${stats.route === "relay" ? "TURN relay" : stats.route === "direct" ? "direct" : "unknown"}`,
+          ].join("\n");
+        } else {
+          chip.title = "Connecting...";
+        }
+      }
+
+      container.appendChild(chip);
+    });
+  },
+
+  // Mixer panel: one row per other player with volume, mute and solo. Rows are
+  // kept between renders so a slider being dragged isn't replaced.
+  renderMixer() {
+    const container = document.getElementById("mixer");
+    if (!container || !this.presence) return;
+
+    const peerIds = this.presence
+      .list((peerId) => peerId)
+      .filter((peerId) => peerId !== this.localPeerId);
+
+    // Drop rows of players who left
+    this.mixerRows.forEach((row, peerId) => {
+      if (!peerIds.includes(peerId)) {
+        row.el.remove();
+        this.mixerRows.delete(peerId);
+      }
+    });
+
+    peerIds.forEach((peerId) => {
+      if (!this.mixerRows.has(peerId)) {
+        const row = this.createMixerRow(peerId);
+        this.mixerRows.set(peerId, row);
+        container.appendChild(row.el);
+      }
+      this.updateMixerRow(peerId);
+    });
+
+    let empty = container.querySelector("[data-mixer-empty]");
+    if (peerIds.length === 0 && !empty) {
+      empty = document.createElement("p");
+      empty.dataset.mixerEmpty = "";
+      empty.className = "text-xs text-base-content/50";
+      empty.textContent = "Nobody else is here yet";
+      container.appendChild(empty);
+    } else if (peerIds.length > 0 && empty) {
+      empty.remove();
+    }
+  },
+
+  createMixerRow(peerId) {
+    const el = document.createElement("div");
+    el.className = "flex items-center gap-2 text-sm";
+
+    const status = document.createElement("span");
+    status.className = "inline-block h-2 w-2 shrink-0 rounded-full";
+
+    const name = document.createElement("span");
+    name.className = "w-40 truncate font-mono text-xs";
+
+    const volume = document.createElement("input");
+    volume.type = "range";
+    volume.min = "0";
+    volume.max = "150";
+    volume.step = "1";
+    volume.className = "range range-xs min-w-24 flex-1";
+    volume.setAttribute("aria-label", `${peerLabel(peerId)} volume`);
+    volume.addEventListener("input", () => {
+      this.piano.setMix(peerId, { volume: Number(volume.value) / 100 });
+      this.updateMixerRow(peerId);
+    });
+
+    const volumeValue = document.createElement("span");
+    volumeValue.className = "w-10 text-right font-mono text-xs";
+
+    const mute = document.createElement("button");
+    mute.type = "button";
+    mute.textContent = "M";
+    mute.title = "Mute";
+    mute.addEventListener("click", () => {
+      this.piano.setMix(peerId, { muted: !this.piano.mixOf(peerId).muted });
+      this.updateMixerRows();
+    });
+
+    const solo = document.createElement("button");
+    solo.type = "button";
+    solo.textContent = "S";
+    solo.title = "Solo";
+    solo.addEventListener("click", () => {
+      this.piano.setMix(peerId, { soloed: !this.piano.mixOf(peerId).soloed });
+      this.updateMixerRows();
+    });
+
+    el.append(status, name, volume, volumeValue, mute, solo);
+    return { el, status, name, volume, volumeValue, mute, solo };
+  },
+
+  updateMixerRows() {
+    this.mixerRows.forEach((_row, peerId) => this.updateMixerRow(peerId));
+  },
+
+  updateMixerRow(peerId) {
+    const row = this.mixerRows.get(peerId);
+    if (!row) return;
+
+    const mix = this.piano.mixOf(peerId);
+    const anySoloed = [...this.mixerRows.keys()].some((id) => this.piano.mixOf(id).soloed);
+    const audible = !mix.muted && (!anySoloed || mix.soloed);
+
+    const pc = this.webrtcManager && this.webrtcManager.peers.get(peerId);
+    const connected = pc && pc.connectionState === "connected";
+    row.status.classList.toggle("bg-success", Boolean(connected));
+    row.status.classList.toggle("bg-base-300", !connected);
+    row.status.title = connected ? "Connected" : "Connecting...";
+
+    const instrument = INSTRUMENTS[this.piano.instrumentOf(peerId)];
+    row.name.textContent = instrument ? `${peerLabel(peerId)} · ${instrument.name}` : peerLabel(peerId);
+
+    // Don't fight the user while they drag
+    if (document.activeElement !== row.volume) {
+      row.volume.value = String(Math.round(mix.volume * 100));
+    }
+    row.volumeValue.textContent = `${Math.round(mix.volume * 100)}%`;
+
+    row.mute.className = `btn btn-xs w-7 ${mix.muted ? "btn-warning" : "btn-ghost btn-outline"}`;
+    row.solo.className = `btn btn-xs w-7 ${mix.soloed ? "btn-info" : "btn-ghost btn-outline"}`;
+    row.el.classList.toggle("opacity-50", !audible);
+  },
+
+  scrollToMiddleC() {
+    this.scrollToNote(60); // C4
+  },
+
+  scrollToNote(note) {
+    this.keyboard.scrollToNote(note);
+  },
+
   destroyed() {
+    if (this.recorder) {
+      this.recorder.stop();
+    }
+    clearInterval(this.snapshotTimer);
+    if (this.webrtcManager) {
+      this.webrtcManager.broadcastControl({ type: "all_notes_off" });
+    }
+    if (this.scheduledMidi) {
+      this.scheduledMidi.forEach((_, timer) => clearTimeout(timer));
+      this.scheduledMidi.clear();
+    }
+    if (this.midiPlayer) {
+      this.midiPlayer.destroy();
+      clearInterval(this.playerProgressTimer);
+      window.removeEventListener("dragover", this.onDragOver);
+      window.removeEventListener("dragleave", this.onDragLeave);
+      window.removeEventListener("drop", this.onDrop);
+    }
+    if (this.metronome) {
+      this.metronome.destroy();
+    }
+    if (this.serverClock) {
+      this.serverClock.destroy();
+    }
     if (this.webrtcManager) {
       this.webrtcManager.destroy();
     }
     if (this.midiHandler) {
       this.midiHandler.destroy();
     }
+    if (this.notation) {
+      this.notation.destroy();
+    }
+
+    if (this.chordFrame !== null) {
+      cancelAnimationFrame(this.chordFrame);
+    }
+
+    if (this.visualizer) {
+      this.visualizer.destroy();
+    }
     if (this.keyboard) {
       this.keyboard.destroy();
     }
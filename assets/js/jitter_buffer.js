@@ -0,0 +1,86 @@
+// Adaptive playout delay for timestamped MIDI from remote peers
+
+// How much network jitter each mode absorbs before playing a note.
+// Delays are in milliseconds on top of the fastest transit seen recently.
+export const PLAYOUT_MODES = {
+  lowest: { name: "Lowest latency", jitterMultiplier: 0, minDelay: 0, maxDelay: 0 },
+  balanced: { name: "Balanced", jitterMultiplier: 2, minDelay: 5, maxDelay: 80 },
+  smooth: { name: "Smoothest", jitterMultiplier: 4, minDelay: 20, maxDelay: 200 },
+};
+
+export const DEFAULT_PLAYOUT_MODE = "balanced";
+
+// Number of recent transit samples used to find the fastest path
+const TRANSIT_WINDOW = 64;
+
+// Smoothing factor for the jitter estimate (RFC 3550 uses 1/16)
+const JITTER_GAIN = 1 / 16;
+
+// Anything further off than this means the sender's clock restarted or wrapped
+const CLOCK_RESET_THRESHOLD_MS = 10000;
+
+export class JitterBuffer {
+  constructor(mode = DEFAULT_PLAYOUT_MODE) {
+    this.mode = PLAYOUT_MODES[mode] ? mode : DEFAULT_PLAYOUT_MODE;
+    this.peers = new Map(); // peerId -> { transits, baseTransit, jitter, lastPlayout }
+  }
+
+  setMode(mode) {
+    if (!PLAYOUT_MODES[mode]) {
+      console.warn("Unknown playout mode:", mode);
+      return;
+    }
+    this.mode = mode;
+  }
+
+  // Milliseconds from receivedAt until the event should be played (0 = now).
+  // sentAt is the sender's timestamp or null for clients without timestamps.
+  delayFor(peerId, sentAt, receivedAt = performance.now()) {
+    if (sentAt === null || sentAt === undefined) return 0;
+
+    const stats = this.updateStats(peerId, sentAt, receivedAt);
+    const mode = PLAYOUT_MODES[this.mode];
+    if (mode.maxDelay === 0) return 0;
+
+    const target = Math.min(
+      mode.maxDelay,
+      Math.max(mode.minDelay, stats.jitter * mode.jitterMultiplier)
+    );
+
+    // Map the sender's clock onto ours, then never play before an earlier event
+    let playout = sentAt + stats.baseTransit + target;
+    playout = Math.max(playout, stats.lastPlayout);
+    stats.lastPlayout = playout;
+
+    return Math.max(0, playout - receivedAt);
+  }
+
+  updateStats(peerId, sentAt, receivedAt) {
+    // Transit includes the unknown clock offset between peers, which cancels
+    // out because only differences from the fastest transit matter
+    const transit = receivedAt - sentAt;
+    let stats = this.peers.get(peerId);
+
+    if (!stats || Math.abs(transit - stats.baseTransit) > CLOCK_RESET_THRESHOLD_MS) {
+      stats = { transits: [], baseTransit: transit, jitter: 0, lastPlayout: -Infinity };
+      this.peers.set(peerId, stats);
+    }
+
+    stats.transits.push(transit);
+    if (stats.transits.length > TRANSIT_WINDOW) {
+      stats.transits.shift();
+    }
+    stats.baseTransit = Math.min(...stats.transits);
+    stats.jitter += (transit - stats.baseTransit - stats.jitter) * JITTER_GAIN;
+
+    return stats;
+  }
+
+  removePeer(peerId) {
+    this.peers.delete(peerId);
+  }
+
+  clear() {
+    this.peers.clear();
+  }
+}
@@ -0,0 +1,86 @@
+// Computer keyboard layouts for playing notes. Keys are physical key codes
+// (KeyboardEvent.code), so the same keys play the same notes whatever the
+// keyboard's language (QWERTY, AZERTY, QWERTZ, Dvorak...). Notes are MIDI
+// numbers before the octave shift and transpose.
+
+export const KEY_LAYOUTS = {
+  // Home row for white keys, the row above for black keys, extra octave below
+  piano: {
+    name: "Two-row piano",
+    map: {
+      // Home row - white keys from C4
+      KeyA: 60, KeyS: 62, KeyD: 64, KeyF: 65, KeyG: 67, KeyH: 69, KeyJ: 71,
+      KeyK: 72, KeyL: 74, Semicolon: 76,
+      // Upper row - black keys
+      KeyW: 61, KeyE: 63, KeyT: 66, KeyY: 68, KeyU: 70, KeyO: 73, KeyP: 75,
+      // Bottom row - white keys from C3
+      KeyZ: 48, KeyX: 50, KeyC: 52, KeyV: 53, KeyB: 55, KeyN: 57, KeyM: 59,
+    },
+  },
+
+  // FastTracker style: two octaves, each a letter row for white keys and the
+  // row above it for black keys
+  tracker: {
+    name: "Tracker",
+    map: {
+      // Lower octave from C3
+      KeyZ: 48, KeyS: 49, KeyX: 50, KeyD: 51, KeyC: 52, KeyV: 53, KeyG: 54,
+      KeyB: 55, KeyH: 56, KeyN: 57, KeyJ: 58, KeyM: 59,
+      Comma: 60, KeyL: 61, Period: 62, Semicolon: 63, Slash: 64,
+      // Upper octave from C4
+      KeyQ: 60, Digit2: 61, KeyW: 62, Digit3: 63, KeyE: 64, KeyR: 65, Digit5: 66,
+      KeyT: 67, Digit6: 68, KeyY: 69, Digit7: 70, KeyU: 71,
+      KeyI: 72, Digit9: 73, KeyO: 74, Digit0: 75, KeyP: 76,
+      BracketLeft: 77, Equal: 78, BracketRight: 79,
+    },
+  },
+};
+
+export const DEFAULT_KEY_LAYOUT = "piano";
+
+// Keys that can't be bound to notes, they're used while rebinding
+export const RESERVED_KEY_CODES = ["Escape", "Backspace", "Delete", "Tab", "Enter"];
+
+const PUNCTUATION_LABELS = {
+  Semicolon: ";",
+  Quote: "'",
+  Comma: ",",
+  Period: ".",
+  Slash: "/",
+  Backslash: "\\",
+  BracketLeft: "[",
+  BracketRight: "]",
+  Minus: "-",
+  Equal: "=",
+  Backquote: "`",
+  IntlBackslash: "<",
+};
+
+// What's printed on a key. layoutMap is the browser's KeyboardLayoutMap when
+// available (Chromium), which knows the keyboard's language; otherwise the
+// US QWERTY label is derived from the code.
+export function keyCodeLabel(code, layoutMap = null) {
+  const printed = layoutMap && layoutMap.get(code);
+  if (printed) return printed.toUpperCase();
+
+  if (code.startsWith("Key")) return code.slice(3);
+  if (code.startsWith("Digit")) return code.slice(5);
+  if (code.startsWith("Numpad")) return `Num${code.slice(6)}`;
+  if (code.startsWith("Arrow")) return { Left: "←", Right: "→", Up: "↑", Down: "↓" }[code.slice(5)];
+  return PUNCTUATION_LABELS[code] || code;
+}
+
+// A stored key map, or null if it doesn't look like one
+export function parseKeyMap(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return null;
+
+  const entries = Object.entries(value).filter(
+    ([code, note]) =>
+      typeof code === "string" &&
+      !RESERVED_KEY_CODES.includes(code) &&
+      Number.isInteger(note) &&
+      note >= 0 &&
+      note <= 127
+  );
+  return Object.fromEntries(entries);
+}
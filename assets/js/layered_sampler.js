@@ -0,0 +1,156 @@
+// Sampler with one or more velocity layers per pitch, e.g. the Salamander grand
+// recorded at different strike strengths. Plays the buffer sources itself, like
+// Tone.Sampler does, so it can also bend the notes already sounding.
+
+import * as Tone from "tone";
+
+// How much the note's velocity still scales the gain inside a layer. The layers
+// already carry most of the dynamics, scaling fully would make soft notes inaudible.
+const VELOCITY_GAIN_RANGE = 0.5;
+
+export class LayeredSampler {
+  // layers: [{ velocity, urls: { noteName: Tone.ToneAudioBuffer } }], velocity is the
+  // MIDI velocity (1-127) the layer was recorded at
+  constructor({ layers, release = 1, crossfade = true, velocityGainRange = VELOCITY_GAIN_RANGE }) {
+    this.crossfade = crossfade;
+    this.velocityGainRange = velocityGainRange;
+    this.release = release; // Seconds
+    this.detune = 0; // Cents
+    this.activeSources = new Map(); // midi -> [{ source, baseRate }] held down
+    this.output = new Tone.Gain();
+    this.layers = [...layers]
+      .sort((a, b) => a.velocity - b.velocity)
+      .map((layer) => ({
+        velocity: layer.velocity,
+        // midi -> buffer
+        buffers: new Map(
+          Object.entries(layer.urls).map(([note, buffer]) => [Tone.Frequency(note).toMidi(), buffer])
+        ),
+      }));
+  }
+
+  toDestination() {
+    this.output.toDestination();
+    return this;
+  }
+
+  connect(destination) {
+    this.output.connect(destination);
+    return this;
+  }
+
+  // Layers to play for a velocity (0-1) and how loud each one is. Between two
+  // layers the sound is crossfaded with equal power, otherwise the closest layer wins.
+  layersFor(velocity) {
+    const midiVelocity = velocity * 127;
+    const layers = this.layers;
+
+    if (midiVelocity <= layers[0].velocity) return [{ layer: layers[0], weight: 1 }];
+    const last = layers[layers.length - 1];
+    if (midiVelocity >= last.velocity) return [{ layer: last, weight: 1 }];
+
+    const upperIndex = layers.findIndex((layer) => layer.velocity >= midiVelocity);
+    const lower = layers[upperIndex - 1];
+    const upper = layers[upperIndex];
+    const position = (midiVelocity - lower.velocity) / (upper.velocity - lower.velocity);
+
+    if (!this.crossfade) {
+      return [{ layer: position < 0.5 ? lower : upper, weight: 1 }];
+    }
+
+    return [
+      { layer: lower, weight: Math.cos((position * Math.PI) / 2) },
+      { layer: upper, weight: Math.sin((position * Math.PI) / 2) },
+    ].filter(({ weight }) => weight > 0.01);
+  }
+
+  triggerAttack(noteName, time = Tone.now(), velocity = 1) {
+    const gain = 1 - this.velocityGainRange + this.velocityGainRange * velocity;
+    const midi = Tone.Frequency(noteName).toMidi();
+
+    this.layersFor(velocity).forEach(({ layer, weight }) => {
+      // Closest recorded pitch, played faster or slower to reach the note
+      const sampleMidi = this.closestSample(layer, midi);
+      const buffer = layer.buffers.get(sampleMidi);
+      const baseRate = Tone.intervalToFrequencyRatio(midi - sampleMidi);
+
+      const source = new Tone.ToneBufferSource({
+        url: buffer,
+        fadeOut: this.release,
+        curve: "exponential",
+        playbackRate: baseRate * this.ratio(),
+      }).connect(this.output);
+      // No duration, the sample ends where its buffer runs out at whatever rate bends leave it
+      source.start(time, 0, undefined, gain * weight);
+
+      const entry = { source, baseRate };
+      if (!this.activeSources.has(midi)) this.activeSources.set(midi, []);
+      this.activeSources.get(midi).push(entry);
+      source.onended = () => {
+        const sources = this.activeSources.get(midi);
+        if (sources && sources.includes(entry)) {
+          sources.splice(sources.indexOf(entry), 1);
+          if (sources.length === 0) this.activeSources.delete(midi);
+        }
+      };
+    });
+    return this;
+  }
+
+  closestSample(layer, midi) {
+    let closest = null;
+    layer.buffers.forEach((_buffer, sampleMidi) => {
+      if (closest === null || Math.abs(sampleMidi - midi) < Math.abs(closest - midi)) {
+        closest = sampleMidi;
+      }
+    });
+    return closest;
+  }
+
+  // Pitch bend in cents, applied to new notes and the ones already sounding
+  setDetune(cents, time = Tone.now()) {
+    this.detune = cents;
+    const ratio = this.ratio();
+
+    this.activeSources.forEach((sources) => {
+      sources.forEach(({ source, baseRate }) => {
+        source.playbackRate.setValueAtTime(baseRate * ratio, time);
+      });
+    });
+    return this;
+  }
+
+  ratio() {
+    return Math.pow(2, this.detune / 1200);
+  }
+
+  // Fade out every source of the note, a note may have been struck on one or
+  // two layers (and struck again before its release)
+  triggerRelease(noteName, time = Tone.now()) {
+    const midi = Tone.Frequency(noteName).toMidi();
+    const sources = this.activeSources.get(midi);
+    if (sources) {
+      sources.forEach(({ source }) => source.stop(time));
+      this.activeSources.delete(midi);
+    }
+    return this;
+  }
+
+  releaseAll(time = Tone.now()) {
+    this.activeSources.forEach((sources) => {
+      sources.forEach(({ source }) => source.stop(time));
+    });
+    this.activeSources.clear();
+    return this;
+  }
+
+  dispose() {
+    this.activeSources.forEach((sources) => {
+      sources.forEach(({ source }) => source.dispose());
+    });
+    this.activeSources.clear();
+    this.layers = [];
+    this.output.dispose();
+    return this;
+  }
+}
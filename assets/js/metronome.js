@@ -0,0 +1,139 @@
+// Room-wide metronome. RoomServer owns the tempo, time signature and the
+// server time of the first downbeat; every browser schedules its clicks on
+// the audio context's clock so they're heard at the same moment everywhere.
+// Tone's Transport is left to anything else that plays in time.
+
+import * as Tone from "tone";
+
+const CLICK_NOTE = "G5";
+const DOWNBEAT_NOTE = "C6";
+const CLICK_SECONDS = 0.03;
+
+// Clicks are handed to the audio clock this far ahead, topped up this often
+const SCHEDULE_AHEAD_SECONDS = 0.2;
+const SCHEDULE_INTERVAL_SECONDS = 0.05;
+
+// A running count is only moved when the clock estimate says it's off by more
+const RESYNC_TOLERANCE_SECONDS = 0.005;
+
+export class Metronome {
+  // onBeat(beatInBar, beatsPerBar) is called as each click is heard
+  constructor(serverClock, onBeat = null) {
+    this.clock = serverClock;
+    this.onBeat = onBeat;
+    this.state = null; // { running, bpm, beats_per_bar, beat_unit, started_at }
+    this.click = null; // Built once audio runs, browsers want a gesture first
+    this.intervalId = null; // Our scheduling loop on the context's ticker
+    this.scheduledSettings = null; // What the clicks are being scheduled for
+    this.startTime = null; // Context time of beat 0
+    this.nextBeat = 0; // Beats since the first downbeat, the next one to schedule
+    this.lastClickTime = -Infinity;
+    this.deviceLatency = 0;
+
+    // Audio time stands still until the context runs, line up again once it does
+    this.onContextStateChange = () => this.sync();
+    Tone.getContext().on("statechange", this.onContextStateChange);
+  }
+
+  get running() {
+    return Boolean(this.state && this.state.running && this.state.started_at !== null);
+  }
+
+  // Apply the room's metronome state
+  update(state) {
+    this.state = state;
+    this.sync();
+  }
+
+  // Line the count up so beat 0 falls on the room's first downbeat. Safe to
+  // call again whenever the server clock estimate changes: a count that's
+  // already clicking is moved in place, only new settings restart it.
+  sync() {
+    if (!this.running) {
+      this.clear();
+      return;
+    }
+
+    const context = Tone.getContext();
+    if (context.state !== "running") return;
+
+    const { bpm, beats_per_bar: beatsPerBar, beat_unit: beatUnit, started_at: startedAt } = this.state;
+
+    // Schedule each click early by the audio hardware latency, so it's heard
+    // (not just played) when the server clock reaches its beat
+    const raw = context.rawContext;
+    this.deviceLatency = (raw.baseLatency || 0) + (raw.outputLatency || 0);
+    const startTime = context.currentTime + (startedAt - this.clock.now()) / 1000 - this.deviceLatency;
+
+    // Same count, only the clock estimate moved
+    const settings = `${bpm}/${beatsPerBar}/${beatUnit}/${startedAt}`;
+    if (settings === this.scheduledSettings) {
+      if (Math.abs(startTime - this.startTime) > RESYNC_TOLERANCE_SECONDS) {
+        this.startTime = startTime;
+      }
+      return;
+    }
+
+    this.clear();
+    if (!this.click) {
+      // Straight to the speakers, room effects shouldn't smear the beat
+      this.click = new Tone.Synth({
+        oscillator: { type: "square" },
+        envelope: { attack: 0.001, decay: 0.05, sustain: 0, release: 0.01 },
+        volume: -14,
+      }).toDestination();
+    }
+
+    this.scheduledSettings = settings;
+    this.startTime = startTime;
+    this.beatSeconds = 60 / bpm;
+    this.beatsPerBar = beatsPerBar;
+
+    // Joining a metronome that's already running: pick up at the next beat
+    this.nextBeat = Math.max(0, Math.ceil((Tone.now() - startTime) / this.beatSeconds));
+    this.scheduleClicks();
+    this.intervalId = context.setInterval(() => this.scheduleClicks(), SCHEDULE_INTERVAL_SECONDS);
+  }
+
+  // Hand the audio clock every click due before the look-ahead horizon
+  scheduleClicks() {
+    const earliest = Tone.now();
+    const horizon = earliest + SCHEDULE_AHEAD_SECONDS;
+
+    for (let time = this.beatTime(); time < horizon; time = this.beatTime()) {
+      const beat = this.nextBeat % this.beatsPerBar;
+      this.nextBeat++;
+
+      // A resync may have pulled the count back onto a beat already played,
+      // and one the loop was too late for is better skipped than played late
+      if (time < earliest || time <= this.lastClickTime) continue;
+      this.lastClickTime = time;
+
+      this.click.triggerAttackRelease(beat === 0 ? DOWNBEAT_NOTE : CLICK_NOTE, CLICK_SECONDS, time);
+      if (this.onBeat) {
+        const beatsPerBar = this.beatsPerBar;
+        Tone.getDraw().schedule(() => this.onBeat(beat, beatsPerBar), time + this.deviceLatency);
+      }
+    }
+  }
+
+  beatTime() {
+    return this.startTime + this.nextBeat * this.beatSeconds;
+  }
+
+  // Stop scheduling clicks, the ones already handed over are a few ms of sound
+  clear() {
+    if (this.intervalId === null) return;
+
+    Tone.getContext().clearInterval(this.intervalId);
+    this.intervalId = null;
+    this.scheduledSettings = null;
+  }
+
+  destroy() {
+    this.clear();
+    Tone.getContext().off("statechange", this.onContextStateChange);
+    if (this.click) this.click.dispose();
+    this.onBeat = null;
+  }
+}
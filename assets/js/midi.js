@@ -1,13 +1,146 @@
-// Web MIDI API wrapper for capturing MIDI keyboard input
+// Web MIDI API wrapper for capturing MIDI keyboard input and forwarding the
+// room's notes to a MIDI output (hardware synth, DAW)
+
+// Continuous controllers passed on as "cc" events: mod wheel, volume, expression
+const CONTINUOUS_CONTROLLERS = [1, 7, 11];
+
+// Controller numbers of the pedals we send out
+const PEDAL_CONTROLLERS = { sustain: 64, sostenuto: 66, soft: 67 };
+
+// MIDI channel 10 (9 counting from 0), drums on General MIDI devices
+const DRUM_CHANNEL = 9;
 
 export class MidiHandler {
-  constructor(onNoteOn, onNoteOff, onDevicesChanged, onSustainPedal) {
+  // onControl(type, data1, data2) receives everything besides notes and sustain:
+  //   "pitchbend" (LSB, MSB), "cc" (controller, value), "sostenuto" / "soft"
+  //   (1 for down, 0 for up) and "all_sound_off" / "all_notes_off"
+  // onDevicesChanged(inputs, outputs) lists the connected ports
+  constructor(onNoteOn, onNoteOff, onDevicesChanged, onSustainPedal, onControl = null) {
     this.onNoteOn = onNoteOn;
     this.onNoteOff = onNoteOff;
     this.onDevicesChanged = onDevicesChanged;
     this.onSustainPedal = onSustainPedal;
+    this.onControl = onControl;
     this.midiAccess = null;
     this.activeInputs = new Map();
+    this.disabledInputs = new Set(); // Input ids the player switched off
+    this.channel = null; // Only listen to this MIDI channel (1-16), null for all
+    this.heldNotes = new Map(); // input id -> Set of notes held down on it
+    this.sustainInputs = new Set(); // Input ids with the sustain pedal down
+    this.outputId = null; // Chosen output port, remembered while it's unplugged
+    this.output = null; // The chosen MIDIOutput while it's connected
+    this.outputChannels = new Map(); // source -> MIDI channel (0-15) it's sent out on
+  }
+
+  // Choices restored from a previous session, call before init()
+  configure({ disabledInputs = [], channel = null, outputId = null } = {}) {
+    this.disabledInputs = new Set(disabledInputs);
+    this.channel = channel;
+    this.outputId = outputId;
+  }
+
+  setInputEnabled(id, enabled) {
+    if (enabled) {
+      this.disabledInputs.delete(id);
+    } else {
+      this.disabledInputs.add(id);
+      this.releaseInput(id);
+    }
+    if (this.midiAccess) {
+      this.updateDevices();
+    }
+  }
+
+  setChannel(channel) {
+    this.channel = channel;
+    // Notes held on a channel we stop listening to would never get their note off
+    [...this.heldNotes.keys()].forEach((id) => this.releaseInput(id));
+    [...this.sustainInputs].forEach((id) => this.releaseInput(id));
+  }
+
+  setOutput(id) {
+    // Don't leave the old port with hanging notes
+    this.silenceOutput();
+    this.outputId = id;
+    if (this.midiAccess) {
+      this.updateDevices();
+    }
+  }
+
+  // Each source (player) gets its own output channel so their notes and pedals
+  // don't interfere: the first one claimed is channel 1, after that the lowest
+  // free one. Channel 10 is skipped, General MIDI devices play drums on it.
+  // Past 15 players the rest share channel 16.
+  outputChannelFor(source) {
+    if (!this.outputChannels.has(source)) {
+      const used = new Set(this.outputChannels.values());
+      let channel = 0;
+      while (channel < 15 && (used.has(channel) || channel === DRUM_CHANNEL)) channel++;
+      this.outputChannels.set(source, channel);
+    }
+    return this.outputChannels.get(source);
+  }
+
+  // Send a room event to the output port. type and data follow the MIDI events
+  // used everywhere else ("on", "off", "sustain", "pitchbend", "cc", ...);
+  // timestamp is in performance.now() milliseconds, omit it to send right away.
+  sendOutput(source, type, data1, data2, timestamp) {
+    if (!this.output) return;
+
+    const channel = this.outputChannelFor(source);
+    let message = null;
+
+    if (type === "on") {
+      message = [0x90 | channel, data1, data2];
+    } else if (type === "off") {
+      message = [0x80 | channel, data1, 0];
+    } else if (type in PEDAL_CONTROLLERS) {
+      message = [0xb0 | channel, PEDAL_CONTROLLERS[type], data1 === 1 ? 127 : 0];
+    } else if (type === "cc") {
+      message = [0xb0 | channel, data1, data2];
+    } else if (type === "pitchbend") {
+      message = [0xe0 | channel, data1, data2];
+    } else if (type === "all_notes_off") {
+      message = [0xb0 | channel, 123, 0];
+    } else if (type === "all_sound_off") {
+      message = [0xb0 | channel, 120, 0];
+    }
+
+    if (message) {
+      try {
+        this.output.send(message, timestamp);
+      } catch (err) {
+        console.warn("MIDI output send failed:", err);
+      }
+    }
+  }
+
+  // A source left: lift its pedals and notes on the output and free its channel
+  releaseOutputSource(source) {
+    if (!this.outputChannels.has(source)) return;
+    ["sustain", "sostenuto", "soft"].forEach((pedal) => this.sendOutput(source, pedal, 0, 0));
+    this.sendOutput(source, "pitchbend", 0, 64);
+    this.sendOutput(source, "all_notes_off", 0, 0);
+    this.outputChannels.delete(source);
+  }
+
+  silenceOutput() {
+    this.outputChannels.forEach((_, source) => {
+      ["sustain", "sostenuto", "soft"].forEach((pedal) => this.sendOutput(source, pedal, 0, 0));
+      this.sendOutput(source, "all_notes_off", 0, 0);
+    });
+  }
+
+  // Let go of everything an input was holding, when it's switched off or unplugged
+  releaseInput(id) {
+    const notes = this.heldNotes.get(id);
+    if (notes) {
+      this.heldNotes.delete(id);
+      notes.forEach((note) => this.onNoteOff(note));
+    }
+    if (this.sustainInputs.delete(id) && this.sustainInputs.size === 0 && this.onSustainPedal) {
+      this.onSustainPedal(false);
+    }
   }
 
   async init() {
@@ -46,39 +179,82 @@ export class MidiHandler {
     });
     this.activeInputs.clear();
 
-    // Setup new listeners - iterate over the Map entries
+    // Setup new listeners - iterate over the Map entries. Every connected input
+    // is listed, only the enabled ones are listened to.
+    const connectedIds = new Set();
     for (const [id, input] of this.midiAccess.inputs) {
       console.log("Found MIDI input:", id, input.name, "state:", input.state);
 
       if (input.state === "connected") {
+        const enabled = !this.disabledInputs.has(input.id);
+        connectedIds.add(input.id);
         devices.push({
           id: input.id,
           name: input.name || "Unknown Device",
-          manufacturer: input.manufacturer || "Unknown"
+          manufacturer: input.manufacturer || "Unknown",
+          enabled
         });
 
-        input.onmidimessage = (event) => this.handleMidiMessage(event);
-        this.activeInputs.set(input, true);
+        if (enabled) {
+          input.onmidimessage = (event) => this.handleMidiMessage(event, input.id);
+          this.activeInputs.set(input, true);
+        }
       }
     }
 
+    // Unplugged mid-chord
+    [...this.heldNotes.keys(), ...this.sustainInputs]
+      .filter((id) => !connectedIds.has(id))
+      .forEach((id) => this.releaseInput(id));
+
     console.log("Total connected MIDI devices:", devices.length, devices);
 
+    const outputs = [];
+    this.output = null;
+    for (const [, output] of this.midiAccess.outputs) {
+      if (output.state === "connected") {
+        const selected = output.id === this.outputId;
+        outputs.push({
+          id: output.id,
+          name: output.name || "Unknown Device",
+          manufacturer: output.manufacturer || "Unknown",
+          selected
+        });
+        if (selected) {
+          this.output = output;
+        }
+      }
+    }
+
     if (this.onDevicesChanged) {
-      this.onDevicesChanged(devices);
+      this.onDevicesChanged(devices, outputs);
     }
   }
 
-  handleMidiMessage(event) {
+  handleMidiMessage(event, inputId) {
     const [status, data1, data2] = event.data;
     const command = status >> 4;
 
+    // Channel messages carry the channel (0-15) in the low nibble
+    const isChannelMessage = command >= 8 && command <= 14;
+    if (this.channel !== null && isChannelMessage && (status & 0x0f) !== this.channel - 1) {
+      return;
+    }
+
     // Note On (command 9) with velocity > 0
     if (command === 9 && data2 > 0) {
+      if (!this.heldNotes.has(inputId)) {
+        this.heldNotes.set(inputId, new Set());
+      }
+      this.heldNotes.get(inputId).add(data1);
       this.onNoteOn(data1, data2);
     }
     // Note Off (command 8) or Note On with velocity 0
     else if (command === 8 || (command === 9 && data2 === 0)) {
+      const notes = this.heldNotes.get(inputId);
+      if (notes) {
+        notes.delete(data1);
+      }
       this.onNoteOff(data1);
     }
     // Control Change (command 11)
@@ -89,9 +265,30 @@ export class MidiHandler {
       // Sustain pedal is CC 64
       if (controller === 64 && this.onSustainPedal) {
         // Pedal down when value >= 64, up when < 64
+        if (value >= 64) {
+          this.sustainInputs.add(inputId);
+        } else {
+          this.sustainInputs.delete(inputId);
+        }
         this.onSustainPedal(value >= 64);
+      } else if (!this.onControl) {
+        return;
+      } else if (CONTINUOUS_CONTROLLERS.includes(controller)) {
+        this.onControl("cc", controller, value);
+      } else if (controller === 66) {
+        this.onControl("sostenuto", value >= 64 ? 1 : 0, 0);
+      } else if (controller === 67) {
+        this.onControl("soft", value >= 64 ? 1 : 0, 0);
+      } else if (controller === 120) {
+        this.onControl("all_sound_off", 0, 0);
+      } else if (controller === 123) {
+        this.onControl("all_notes_off", 0, 0);
       }
     }
+    // Pitch Bend (command 14), 14-bit value centered on 8192
+    else if (command === 14 && this.onControl) {
+      this.onControl("pitchbend", data1, data2);
+    }
   }
 
   destroy() {
@@ -99,6 +296,10 @@ export class MidiHandler {
       input.onmidimessage = null;
     });
     this.activeInputs.clear();
+    this.heldNotes.clear();
+    this.sustainInputs.clear();
+    this.silenceOutput();
+    this.output = null;
   }
 }
 
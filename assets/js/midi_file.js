@@ -0,0 +1,308 @@
+// Standard MIDI File (SMF) encoding and parsing
+
+export const TICKS_PER_QUARTER = 480;
+
+// Recordings are written at a fixed 120 BPM so one quarter note is 500ms
+const MICROSECONDS_PER_QUARTER = 500000;
+
+// Convert milliseconds to ticks at the fixed recording tempo
+function msToTicks(ms) {
+  return Math.round((ms * 1000 * TICKS_PER_QUARTER) / MICROSECONDS_PER_QUARTER);
+}
+
+// Variable-length quantity used for delta times and meta event lengths
+function writeVarLen(bytes, value) {
+  const buffer = [value & 0x7f];
+  while ((value >>= 7) > 0) {
+    buffer.unshift((value & 0x7f) | 0x80);
+  }
+  bytes.push(...buffer);
+}
+
+function writeUint32(bytes, value) {
+  bytes.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+}
+
+function writeUint16(bytes, value) {
+  bytes.push((value >>> 8) & 0xff, value & 0xff);
+}
+
+function writeChunk(bytes, id, data) {
+  for (let i = 0; i < 4; i++) bytes.push(id.charCodeAt(i));
+  writeUint32(bytes, data.length);
+  // Avoid spreading large tracks into push (argument count limits)
+  for (let i = 0; i < data.length; i++) bytes.push(data[i]);
+}
+
+function writeTrackName(data, name) {
+  const encoded = new TextEncoder().encode(name);
+  data.push(0x00, 0xff, 0x03);
+  writeVarLen(data, encoded.length);
+  data.push(...encoded);
+}
+
+// Pedal event types and their controller numbers
+const PEDAL_CONTROLLERS = { sustain: 64, sostenuto: 66, soft: 67 };
+
+// Other controllers kept as "cc" events: mod wheel, volume, expression
+const CONTINUOUS_CONTROLLERS = [1, 7, 11];
+
+// MIDI channel 10 (9 counting from 0) plays drums on General MIDI devices
+const DRUM_CHANNEL = 9;
+
+// Each track gets its own channel so a DAW keeps the players apart, channel 1
+// first and skipping the drum channel. Past 15 tracks the rest share channel 16.
+function trackChannel(index) {
+  return Math.min(index < DRUM_CHANNEL ? index : index + 1, 15);
+}
+
+// Encode a single event as channel message bytes (without delta time)
+function encodeEvent(event, channel) {
+  if (event.type === "on") {
+    return [0x90 | channel, event.note & 0x7f, event.velocity & 0x7f];
+  } else if (event.type === "off") {
+    return [0x80 | channel, event.note & 0x7f, 0];
+  } else if (event.type in PEDAL_CONTROLLERS) {
+    // Pedals are CCs, note carries 1 for down and 0 for up
+    return [0xb0 | channel, PEDAL_CONTROLLERS[event.type], event.note === 1 ? 127 : 0];
+  } else if (event.type === "pitchbend") {
+    // note carries the LSB and velocity the MSB
+    return [0xe0 | channel, event.note & 0x7f, event.velocity & 0x7f];
+  } else if (event.type === "cc") {
+    return [0xb0 | channel, event.note & 0x7f, event.velocity & 0x7f];
+  }
+  return null;
+}
+
+// Build a format 1 MIDI file.
+// tracks: [{ name, events: [{ time (ms), type, note, velocity }] }] where type is
+// "on", "off", "sustain", "sostenuto", "soft", "pitchbend" or "cc"
+// Returns a Uint8Array with the file contents.
+export function writeMidiFile(tracks) {
+  const bytes = [];
+
+  // Header: format 1, one tempo track plus one track per entry
+  const header = [];
+  writeUint16(header, 1);
+  writeUint16(header, tracks.length + 1);
+  writeUint16(header, TICKS_PER_QUARTER);
+  writeChunk(bytes, "MThd", header);
+
+  // Tempo track
+  const tempoTrack = [];
+  writeTrackName(tempoTrack, "Live Piano");
+  tempoTrack.push(0x00, 0xff, 0x51, 0x03);
+  tempoTrack.push(
+    (MICROSECONDS_PER_QUARTER >> 16) & 0xff,
+    (MICROSECONDS_PER_QUARTER >> 8) & 0xff,
+    MICROSECONDS_PER_QUARTER & 0xff
+  );
+  tempoTrack.push(0x00, 0xff, 0x2f, 0x00);
+  writeChunk(bytes, "MTrk", tempoTrack);
+
+  tracks.forEach((track, index) => {
+    const channel = trackChannel(index);
+    const data = [];
+    writeTrackName(data, track.name);
+
+    // Stable sort keeps events with equal timestamps in capture order
+    const events = [...track.events].sort((a, b) => a.time - b.time);
+    let lastTick = 0;
+
+    events.forEach((event) => {
+      const message = encodeEvent(event, channel);
+      if (!message) return;
+
+      const tick = Math.max(lastTick, msToTicks(event.time));
+      writeVarLen(data, tick - lastTick);
+      data.push(...message);
+      lastTick = tick;
+    });
+
+    // End of track
+    data.push(0x00, 0xff, 0x2f, 0x00);
+    writeChunk(bytes, "MTrk", data);
+  });
+
+  return new Uint8Array(bytes);
+}
+
+// Sequential reader over the file bytes
+class ByteReader {
+  constructor(bytes, offset = 0, end = bytes.length) {
+    this.bytes = bytes;
+    this.pos = offset;
+    this.end = end;
+  }
+
+  eof() {
+    return this.pos >= this.end;
+  }
+
+  uint8() {
+    if (this.pos >= this.end) throw new Error("Unexpected end of MIDI data");
+    return this.bytes[this.pos++];
+  }
+
+  uint16() {
+    return (this.uint8() << 8) | this.uint8();
+  }
+
+  uint32() {
+    return ((this.uint8() << 24) | (this.uint8() << 16) | (this.uint8() << 8) | this.uint8()) >>> 0;
+  }
+
+  varLen() {
+    let value = 0;
+    let byte;
+    do {
+      byte = this.uint8();
+      value = (value << 7) | (byte & 0x7f);
+    } while (byte & 0x80);
+    return value;
+  }
+
+  string(length) {
+    let result = "";
+    for (let i = 0; i < length; i++) result += String.fromCharCode(this.uint8());
+    return result;
+  }
+
+  skip(length) {
+    this.pos += length;
+  }
+}
+
+// Read one MTrk chunk into tick-based events
+function parseTrack(reader, trackIndex) {
+  const events = [];
+  let tick = 0;
+  let runningStatus = null;
+
+  while (!reader.eof()) {
+    tick += reader.varLen();
+    let status = reader.uint8();
+
+    if (status === 0xff) {
+      // Meta event, cancels running status
+      runningStatus = null;
+      const metaType = reader.uint8();
+      const length = reader.varLen();
+      if (metaType === 0x51 && length === 3) {
+        const tempo = (reader.uint8() << 16) | (reader.uint8() << 8) | reader.uint8();
+        events.push({ tick, track: trackIndex, type: "tempo", tempo });
+      } else if (metaType === 0x2f) {
+        reader.skip(length);
+        break;
+      } else {
+        reader.skip(length);
+      }
+      continue;
+    }
+
+    if (status === 0xf0 || status === 0xf7) {
+      // SysEx, ignored. Cancels running status
+      runningStatus = null;
+      reader.skip(reader.varLen());
+      continue;
+    }
+
+    let data1;
+    if (status < 0x80) {
+      // Running status: this byte is already the first data byte
+      if (runningStatus === null) throw new Error("Invalid running status in MIDI track");
+      data1 = status;
+      status = runningStatus;
+    } else {
+      runningStatus = status;
+      data1 = reader.uint8();
+    }
+
+    const command = status >> 4;
+    // Program change and channel pressure carry a single data byte
+    const data2 = command === 0xc || command === 0xd ? 0 : reader.uint8();
+
+    // Drums would come out as piano notes
+    if ((status & 0x0f) === DRUM_CHANNEL) continue;
+
+    if (command === 9 && data2 > 0) {
+      events.push({ tick, track: trackIndex, type: "on", note: data1, velocity: data2 });
+    } else if (command === 8 || command === 9) {
+      events.push({ tick, track: trackIndex, type: "off", note: data1, velocity: 0 });
+    } else if (command === 0xb) {
+      const pedal = Object.keys(PEDAL_CONTROLLERS).find((type) => PEDAL_CONTROLLERS[type] === data1);
+      if (pedal) {
+        events.push({ tick, track: trackIndex, type: pedal, note: data2 >= 64 ? 1 : 0, velocity: 0 });
+      } else if (CONTINUOUS_CONTROLLERS.includes(data1)) {
+        events.push({ tick, track: trackIndex, type: "cc", note: data1, velocity: data2 });
+      }
+    } else if (command === 0xe) {
+      events.push({ tick, track: trackIndex, type: "pitchbend", note: data1, velocity: data2 });
+    }
+  }
+
+  return events;
+}
+
+// Parse a Standard MIDI File (format 0 or 1) from an ArrayBuffer.
+// Returns { events: [{ time (ms), type, note, velocity, track }], duration (ms) }
+// with events from all tracks merged and sorted by time.
+export function parseMidiFile(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const reader = new ByteReader(bytes);
+
+  if (reader.string(4) !== "MThd") {
+    throw new Error("Not a MIDI file");
+  }
+  const headerLength = reader.uint32();
+  const headerEnd = reader.pos + headerLength;
+  const format = reader.uint16();
+  const trackCount = reader.uint16();
+  const division = reader.uint16();
+  reader.pos = headerEnd;
+
+  if (format > 1) {
+    throw new Error(`Unsupported MIDI file format: ${format}`);
+  }
+  if (division & 0x8000) {
+    throw new Error("SMPTE time division is not supported");
+  }
+  if (division === 0) {
+    throw new Error("Invalid MIDI time division");
+  }
+
+  let tickEvents = [];
+  for (let i = 0; i < trackCount && !reader.eof(); i++) {
+    const id = reader.string(4);
+    const length = reader.uint32();
+    // A truncated file ends the last track early, reading past it raises the parse error
+    const end = Math.min(reader.pos + length, bytes.length);
+
+    if (id === "MTrk") {
+      tickEvents = tickEvents.concat(parseTrack(new ByteReader(bytes, reader.pos, end), i));
+    }
+    reader.pos = end;
+  }
+
+  // Sort by tick, keeping tempo changes ahead of notes on the same tick
+  tickEvents.sort((a, b) => a.tick - b.tick || (b.type === "tempo") - (a.type === "tempo"));
+
+  // Convert ticks to milliseconds following the tempo map
+  let tempo = MICROSECONDS_PER_QUARTER;
+  let lastTick = 0;
+  let time = 0;
+  const events = [];
+
+  tickEvents.forEach((event) => {
+    time += ((event.tick - lastTick) * tempo) / division / 1000;
+    lastTick = event.tick;
+
+    if (event.type === "tempo") {
+      tempo = event.tempo;
+    } else {
+      events.push({ time, type: event.type, note: event.note, velocity: event.velocity, track: event.track });
+    }
+  });
+
+  return { events, duration: time };
+}
@@ -0,0 +1,183 @@
+// Playback of parsed MIDI files with play, pause, seek and tempo control
+
+const TICK_INTERVAL_MS = 10;
+
+export class MidiPlayer {
+  // onEvent(type, note, velocity) is called for each event as it becomes due,
+  // onStateChange({ playing, position, duration, tempo }) on every transport change
+  constructor(onEvent, onStateChange) {
+    this.onEvent = onEvent;
+    this.onStateChange = onStateChange;
+    this.events = [];
+    this.duration = 0;
+    this.playing = false;
+    this.tempo = 1; // Playback rate multiplier
+    this.position = 0; // Song position (ms) at playStartTime
+    this.playStartTime = 0;
+    this.nextIndex = 0; // Next event to dispatch
+    this.heldNotes = new Set();
+    this.pedalsDown = new Set(); // "sustain", "sostenuto", "soft"
+    this.bent = false; // Pitch bend away from center
+    this.timer = null;
+  }
+
+  load({ events, duration }) {
+    this.stop();
+    this.events = events;
+    this.duration = duration;
+    this.position = 0;
+    this.nextIndex = 0;
+    this.notifyStateChange();
+  }
+
+  loaded() {
+    return this.events.length > 0;
+  }
+
+  play() {
+    if (this.playing || !this.loaded()) return;
+
+    // Restart from the beginning when the end was reached
+    if (this.position >= this.duration) {
+      this.position = 0;
+      this.nextIndex = 0;
+    }
+
+    // Pedals and controllers were released on pause, pick them up where the song is
+    this.chaseControllers();
+
+    this.playing = true;
+    this.playStartTime = performance.now();
+    this.timer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    this.notifyStateChange();
+  }
+
+  pause() {
+    if (!this.playing) return;
+
+    this.position = Math.min(this.currentPosition(), this.duration);
+    this.playing = false;
+    clearInterval(this.timer);
+    this.timer = null;
+    this.releaseAll();
+    this.notifyStateChange();
+  }
+
+  stop() {
+    this.pause();
+    this.position = 0;
+    this.nextIndex = 0;
+  }
+
+  seek(position) {
+    // Pausing releases what the file was holding, so nothing from before the jump
+    // keeps sounding while notes played live are left alone
+    const wasPlaying = this.playing;
+    this.pause();
+
+    this.position = Math.max(0, Math.min(position, this.duration));
+    this.nextIndex = this.events.findIndex((event) => event.time >= this.position);
+    if (this.nextIndex === -1) this.nextIndex = this.events.length;
+
+    if (wasPlaying) {
+      this.play();
+    } else {
+      this.notifyStateChange();
+    }
+  }
+
+  setTempo(tempo) {
+    // Rebase so the song position doesn't jump when the rate changes
+    if (this.playing) {
+      this.position = this.currentPosition();
+      this.playStartTime = performance.now();
+    }
+    this.tempo = tempo;
+    this.notifyStateChange();
+  }
+
+  currentPosition() {
+    if (!this.playing) return this.position;
+    return this.position + (performance.now() - this.playStartTime) * this.tempo;
+  }
+
+  tick() {
+    const position = this.currentPosition();
+
+    while (this.nextIndex < this.events.length && this.events[this.nextIndex].time <= position) {
+      this.dispatch(this.events[this.nextIndex]);
+      this.nextIndex++;
+    }
+
+    if (this.nextIndex >= this.events.length && position >= this.duration) {
+      this.pause();
+    }
+  }
+
+  dispatch(event) {
+    if (event.type === "on") {
+      this.heldNotes.add(event.note);
+    } else if (event.type === "off") {
+      // Only end notes the file started, a stray note-off would cut one played live
+      if (!this.heldNotes.delete(event.note)) return;
+    } else if (event.type === "sustain" || event.type === "sostenuto" || event.type === "soft") {
+      if (event.note === 1) {
+        this.pedalsDown.add(event.type);
+      } else {
+        this.pedalsDown.delete(event.type);
+      }
+    } else if (event.type === "pitchbend") {
+      this.bent = event.note !== 0 || event.velocity !== 64;
+    }
+
+    this.onEvent(event.type, event.note, event.velocity);
+  }
+
+  // Replay the latest pedal, pitch bend and controller values before the
+  // playback position, so resuming mid-song sounds like playing up to it
+  chaseControllers() {
+    const latest = new Map(); // "sustain", "pitchbend", "cc:7"... -> event
+    for (let i = 0; i < this.nextIndex; i++) {
+      const event = this.events[i];
+      if (event.type === "on" || event.type === "off") continue;
+      latest.set(event.type === "cc" ? `cc:${event.note}` : event.type, event);
+    }
+
+    latest.forEach((event) => {
+      const atRest =
+        ((event.type === "sustain" || event.type === "sostenuto" || event.type === "soft") && event.note === 0) ||
+        (event.type === "pitchbend" && event.note === 0 && event.velocity === 64);
+      if (!atRest) this.dispatch(event);
+    });
+  }
+
+  // Release everything the file is holding so pausing doesn't leave notes ringing
+  releaseAll() {
+    this.heldNotes.forEach((note) => this.onEvent("off", note, 0));
+    this.heldNotes.clear();
+
+    this.pedalsDown.forEach((pedal) => this.onEvent(pedal, 0, 0));
+    this.pedalsDown.clear();
+
+    if (this.bent) {
+      this.onEvent("pitchbend", 0, 64);
+      this.bent = false;
+    }
+  }
+
+  notifyStateChange() {
+    if (this.onStateChange) {
+      this.onStateChange({
+        playing: this.playing,
+        position: this.currentPosition(),
+        duration: this.duration,
+        tempo: this.tempo,
+      });
+    }
+  }
+
+  destroy() {
+    this.stop();
+    this.events = [];
+  }
+}
@@ -0,0 +1,122 @@
+// Session recorder capturing local and remote MIDI events per peer
+
+import { writeMidiFile } from "./midi_file";
+
+export class MidiRecorder {
+  constructor() {
+    this.recording = false;
+    this.startTime = null;
+    this.events = []; // { time, peerId, type, note, velocity }
+    this.heldNotes = new Map(); // peerId -> Set of notes currently down
+    this.pedalsDown = new Map(); // peerId -> Set of pedals ("sustain", "sostenuto", "soft") down
+    this.bentPeers = new Set(); // peerIds with pitch bend away from center
+  }
+
+  start() {
+    this.events = [];
+    this.heldNotes.clear();
+    this.pedalsDown.clear();
+    this.bentPeers.clear();
+    this.startTime = performance.now();
+    this.recording = true;
+  }
+
+  // Stop recording and return the captured events
+  stop() {
+    if (!this.recording) return this.events;
+
+    // Close anything still held so the file doesn't end with hanging notes
+    const time = this.now();
+    this.heldNotes.forEach((notes, peerId) => {
+      notes.forEach((note) => {
+        this.events.push({ time, peerId, type: "off", note, velocity: 0 });
+      });
+    });
+    this.pedalsDown.forEach((pedals, peerId) => {
+      pedals.forEach((pedal) => {
+        this.events.push({ time, peerId, type: pedal, note: 0, velocity: 0 });
+      });
+    });
+    this.bentPeers.forEach((peerId) => {
+      this.events.push({ time, peerId, type: "pitchbend", note: 0, velocity: 64 });
+    });
+    this.heldNotes.clear();
+    this.pedalsDown.clear();
+    this.bentPeers.clear();
+
+    this.recording = false;
+    return this.events;
+  }
+
+  // Record a note on/off, pedal, pitch bend or controller event coming from the given peer
+  record(peerId, type, note, velocity) {
+    if (!this.recording) return;
+
+    if (!this.heldNotes.has(peerId)) {
+      this.heldNotes.set(peerId, new Set());
+      this.pedalsDown.set(peerId, new Set());
+    }
+    const held = this.heldNotes.get(peerId);
+    const pedals = this.pedalsDown.get(peerId);
+
+    if (type === "on") {
+      held.add(note);
+    } else if (type === "off") {
+      held.delete(note);
+    } else if (type === "sustain" || type === "sostenuto" || type === "soft") {
+      // note contains 1 for down, 0 for up
+      if (note === 1) {
+        pedals.add(type);
+      } else {
+        pedals.delete(type);
+      }
+    } else if (type === "pitchbend") {
+      // Center is LSB 0, MSB 64
+      if (note === 0 && velocity === 64) {
+        this.bentPeers.delete(peerId);
+      } else {
+        this.bentPeers.add(peerId);
+      }
+    }
+
+    this.events.push({ time: this.now(), peerId, type, note, velocity });
+  }
+
+  now() {
+    return performance.now() - this.startTime;
+  }
+
+  hasEvents() {
+    return this.events.length > 0;
+  }
+
+  // Build a MIDI file with one track per peer, in order of first appearance.
+  // trackName(peerId) returns the label written into each track.
+  toMidiFile(trackName = (peerId) => peerId) {
+    const tracks = new Map(); // peerId -> track
+    this.events.forEach((event) => {
+      if (!tracks.has(event.peerId)) {
+        tracks.set(event.peerId, { name: trackName(event.peerId), events: [] });
+      }
+      tracks.get(event.peerId).events.push(event);
+    });
+
+    return writeMidiFile([...tracks.values()]);
+  }
+
+  // Trigger a browser download of the recording as a .mid file
+  download(filename, trackName) {
+    const blob = new Blob([this.toMidiFile(trackName)], { type: "audio/midi" });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+}
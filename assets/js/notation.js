@@ -0,0 +1,649 @@
+// Live grand-staff transcription of what's being played. Note starts and
+// lengths are snapped to a grid at the room metronome's tempo, each note goes
+// on the treble or bass staff by pitch and is spelled for the key the room
+// seems to be in, and the passage is drawn as SVG and can be exported as MusicXML.
+
+import { spellInKey } from "./chords";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Shortest note written, as notes per whole note
+export const NOTATION_GRIDS = {
+  4: { name: "Quarter notes" },
+  8: { name: "Eighth notes" },
+  16: { name: "Sixteenth notes" },
+};
+
+export const DEFAULT_NOTATION_GRID = 8;
+
+// Notes from middle C up go on the treble staff
+const TREBLE_LOWEST_NOTE = 60;
+
+// Oldest notes are dropped past this, long sessions stay light
+const MAX_NOTES = 2000;
+
+// Held notes grow on the staff, redraw this often while any are down
+const HELD_REFRESH_MS = 250;
+
+// Longer silences between notes are cut down to this many empty bars
+const MAX_REST_MEASURES = 2;
+
+// Only the latest bars are drawn, the MusicXML export has the whole passage
+const RENDERED_MEASURES = 24;
+
+// Layout, in CSS pixels
+const LINE_GAP = 8;
+const QUARTER_PX = 48;
+const STAFF_GAP = 56; // Treble staff's bottom line to the bass staff's top line
+const TOP_MARGIN = 40;
+const LEFT_MARGIN = 64; // Clefs and time signature
+const KEY_SIGNATURE_X = 36;
+const KEY_ACCIDENTAL_PX = 7;
+const MEASURE_PADDING = 14;
+const STEM_LENGTH = 3.5 * LINE_GAP;
+
+const LETTERS = ["C", "D", "E", "F", "G", "A", "B"];
+
+const C_MAJOR = { tonic: 0, minor: false, fifths: 0 };
+
+// Key signature sharps and flats in the order they're added, as letter
+// indices and as steps above the treble staff's bottom line (two fewer on the bass staff)
+const KEY_SIGNATURE_SHARPS = { letters: [3, 0, 4, 1, 5, 2, 6], steps: [8, 5, 9, 6, 3, 7, 4] };
+const KEY_SIGNATURE_FLATS = { letters: [6, 2, 5, 1, 4, 0, 3], steps: [4, 7, 3, 6, 2, 5, 1] };
+
+const ACCIDENTAL_GLYPHS = { "-2": "\u{1D12B}", "-1": "♭", 0: "♮", 1: "♯", 2: "\u{1D12A}" };
+
+// Written note values as fractions of a whole note, longest first
+const NOTE_VALUES = [
+  { type: "whole", whole: 1, dots: 0 },
+  { type: "half", whole: 3 / 4, dots: 1 },
+  { type: "half", whole: 1 / 2, dots: 0 },
+  { type: "quarter", whole: 3 / 8, dots: 1 },
+  { type: "quarter", whole: 1 / 4, dots: 0 },
+  { type: "eighth", whole: 3 / 16, dots: 1 },
+  { type: "eighth", whole: 1 / 8, dots: 0 },
+  { type: "16th", whole: 1 / 16, dots: 0 },
+];
+
+const FLAGS = { eighth: 1, "16th": 2 };
+const REST_GLYPHS = { quarter: "\u{1D13D}", eighth: "\u{1D13E}", "16th": "\u{1D13F}" };
+const BEAT_TYPES = { 2: "half", 4: "quarter", 8: "eighth" };
+
+// Letter (0-6 from C), accidental (-2 to 2) and octave of a pitch spelled in the key
+function spell(pitch, key) {
+  const { letter, accidental } = spellInKey(pitch % 12, key);
+  return { letter, accidental, octave: Math.floor((pitch - accidental) / 12) - 1 };
+}
+
+// Letter steps above C-1, the way MIDI numbers count semitones
+function diatonic(pitch, key = C_MAJOR) {
+  const { letter, octave } = spell(pitch, key);
+  return (octave + 1) * 7 + letter;
+}
+
+// What the key signature does to a letter
+function keyAccidental(letter, fifths) {
+  if (fifths > 0) return KEY_SIGNATURE_SHARPS.letters.slice(0, fifths).includes(letter) ? 1 : 0;
+  return KEY_SIGNATURE_FLATS.letters.slice(0, -fifths).includes(letter) ? -1 : 0;
+}
+
+const STAVES = [
+  { number: 1, sign: "G", line: 2, glyph: "\u{1D11E}", bottom: diatonic(64) }, // E4 on the bottom line
+  { number: 2, sign: "F", line: 4, glyph: "\u{1D122}", bottom: diatonic(43) }, // G2 on the bottom line
+];
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function svgElement(name, attributes = {}) {
+  const element = document.createElementNS(SVG_NS, name);
+  Object.entries(attributes).forEach(([key, value]) => element.setAttribute(key, value));
+  return element;
+}
+
+export class StaffNotation {
+  constructor(container) {
+    this.container = container;
+    this.enabled = false;
+    this.grid = DEFAULT_NOTATION_GRID;
+    this.bpm = 120;
+    this.beatsPerBar = 4;
+    this.beatUnit = 4;
+    this.downbeat = null; // performance.now() of a metronome downbeat, null to start at the first note
+    this.key = C_MAJOR; // { tonic, minor, fifths } from the room's KeyTracker
+    this.notes = []; // { pitch, start, end } in performance.now() ms, end null while held
+    this.heldNotes = new Map(); // "source:pitch" -> note
+    this.frame = null;
+    this.refreshTimer = null;
+  }
+
+  // Only transcribe while someone is looking
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    if (!enabled) this.releaseAll();
+    this.scheduleRender();
+  }
+
+  setGrid(grid) {
+    if (!NOTATION_GRIDS[grid]) return;
+    this.grid = Number(grid);
+    this.scheduleRender();
+  }
+
+  // Tempo and time signature of the room metronome; downbeat lines the bar
+  // lines up with its clicks while it runs
+  setTiming({ bpm, beatsPerBar, beatUnit, downbeat = null }) {
+    this.bpm = bpm;
+    this.beatsPerBar = beatsPerBar;
+    this.beatUnit = beatUnit;
+    this.downbeat = downbeat;
+    this.scheduleRender();
+  }
+
+  // Key the room seems to be in, for the key signature and spelling
+  setKey(key) {
+    if (key.tonic === this.key.tonic && key.minor === this.key.minor) return;
+    this.key = key;
+    this.scheduleRender();
+  }
+
+  noteOn(pitch, source) {
+    if (!this.enabled) return;
+    this.noteOff(pitch, source); // A repeated note-on ends the previous note
+
+    const note = { pitch, start: performance.now(), end: null };
+    this.notes.push(note);
+    this.heldNotes.set(`${source}:${pitch}`, note);
+    if (this.notes.length > MAX_NOTES) {
+      this.notes.shift();
+    }
+
+    this.startRefresh();
+    this.scheduleRender();
+  }
+
+  noteOff(pitch, source) {
+    const key = `${source}:${pitch}`;
+    const note = this.heldNotes.get(key);
+    if (!note) return;
+
+    note.end = performance.now();
+    this.heldNotes.delete(key);
+    this.scheduleRender();
+  }
+
+  releaseAll() {
+    const now = performance.now();
+    this.heldNotes.forEach((note) => {
+      note.end = now;
+    });
+    this.heldNotes.clear();
+  }
+
+  clear() {
+    this.notes = [];
+    this.heldNotes.clear();
+    this.scheduleRender();
+  }
+
+  hasNotes() {
+    return this.notes.length > 0;
+  }
+
+  // Grid steps per whole note, never coarser than the beat
+  get unitsPerWhole() {
+    return Math.max(this.grid, this.beatUnit);
+  }
+
+  get unitMs() {
+    return ((60000 / this.bpm) * this.beatUnit) / this.unitsPerWhole;
+  }
+
+  get measureUnits() {
+    return (this.beatsPerBar * this.unitsPerWhole) / this.beatUnit;
+  }
+
+  // Time of the first bar line: the last metronome downbeat before the first
+  // note, or the first note itself without a running metronome
+  origin() {
+    const first = this.notes[0].start;
+    if (this.downbeat === null) return first;
+
+    const measureMs = this.unitMs * this.measureUnits;
+    return this.downbeat + Math.floor((first - this.downbeat) / measureMs) * measureMs;
+  }
+
+  // Snap the notes to the grid and group them into chords, one voice per
+  // staff. Returns the staves with their chords ({ start, duration, pitches }
+  // in grid steps) and the number of measures. Long silences are cut down to
+  // MAX_REST_MEASURES empty bars, so a pause doesn't fill the staff with rests.
+  transcribe() {
+    const staves = STAVES.map((staff) => ({ ...staff, chords: new Map() }));
+    if (this.notes.length === 0) {
+      staves.forEach((staff) => (staff.chords = []));
+      return { staves, measures: 1 };
+    }
+
+    const now = performance.now();
+    const origin = this.origin();
+    const snap = (time) => Math.max(0, Math.round((time - origin) / this.unitMs));
+    const measureUnits = this.measureUnits;
+    let end = 0;
+    let cut = 0; // Grid steps taken out of silences so far, whole bars to keep the bar lines
+
+    this.notes.forEach((note) => {
+      let start = snap(note.start) - cut;
+      const idleMeasures = Math.floor((start - end) / measureUnits) - MAX_REST_MEASURES;
+      if (idleMeasures > 0) {
+        cut += idleMeasures * measureUnits;
+        start -= idleMeasures * measureUnits;
+      }
+
+      const duration = Math.max(1, snap(note.end === null ? now : note.end) - cut - start);
+      const staff = staves[note.pitch >= TREBLE_LOWEST_NOTE ? 0 : 1];
+
+      const chord = staff.chords.get(start) || { start, duration: 0, pitches: [] };
+      chord.duration = Math.max(chord.duration, duration);
+      if (!chord.pitches.includes(note.pitch)) chord.pitches.push(note.pitch);
+      staff.chords.set(start, chord);
+      end = Math.max(end, start + duration);
+    });
+
+    staves.forEach((staff) => {
+      const chords = [...staff.chords.values()].sort((a, b) => a.start - b.start);
+      chords.forEach((chord, i) => {
+        // A chord is cut off where the next one starts
+        if (i + 1 < chords.length) {
+          chord.duration = Math.min(chord.duration, chords[i + 1].start - chord.start);
+        }
+        chord.pitches.sort((a, b) => a - b);
+      });
+      staff.chords = chords;
+    });
+
+    return { staves, measures: Math.max(1, Math.ceil(end / measureUnits)) };
+  }
+
+  // Longest written note value that fits in the given number of grid steps
+  noteValue(units) {
+    const value = NOTE_VALUES.find(({ whole }) => {
+      const length = whole * this.unitsPerWhole;
+      return Number.isInteger(length) && length <= units;
+    });
+    return { ...value, units: value.whole * this.unitsPerWhole };
+  }
+
+  // Lay a staff's chords out as measures of written notes and rests. Notes
+  // crossing a bar line or longer than any single value are tied pieces.
+  layout(chords, measures) {
+    const measureUnits = this.measureUnits;
+    const result = Array.from({ length: measures }, () => []);
+
+    const add = (start, duration, pitches) => {
+      let position = start;
+      let remaining = duration;
+      while (remaining > 0) {
+        const measure = Math.floor(position / measureUnits);
+        const value = this.noteValue(Math.min(remaining, (measure + 1) * measureUnits - position));
+        result[measure].push({
+          start: position,
+          duration: value.units,
+          type: value.type,
+          dots: value.dots,
+          pitches,
+          tieStop: pitches.length > 0 && position > start,
+          tieStart: pitches.length > 0 && remaining > value.units,
+        });
+        position += value.units;
+        remaining -= value.units;
+      }
+    };
+
+    let position = 0;
+    chords.forEach((chord) => {
+      if (chord.start > position) add(position, chord.start - position, []);
+      add(chord.start, chord.duration, chord.pitches);
+      position = chord.start + chord.duration;
+    });
+    add(position, measures * measureUnits - position, []);
+
+    return result;
+  }
+
+  // Redraw on the next frame, however many notes arrive before it
+  scheduleRender() {
+    if (this.frame === null) {
+      this.frame = requestAnimationFrame(() => this.render());
+    }
+  }
+
+  startRefresh() {
+    if (this.refreshTimer !== null) return;
+    this.refreshTimer = setInterval(() => {
+      this.scheduleRender();
+      if (this.heldNotes.size === 0) this.stopRefresh();
+    }, HELD_REFRESH_MS);
+  }
+
+  stopRefresh() {
+    clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+  }
+
+  render() {
+    this.frame = null;
+    const { staves, measures } = this.transcribe();
+    const firstMeasure = Math.max(0, measures - RENDERED_MEASURES);
+    const fifths = this.key.fifths;
+
+    const unitPx = (QUARTER_PX * 4) / this.unitsPerWhole;
+    const measureWidth = this.measureUnits * unitPx + MEASURE_PADDING * 2;
+    const left = LEFT_MARGIN + Math.abs(fifths) * KEY_ACCIDENTAL_PX;
+    const width = left + (measures - firstMeasure) * measureWidth + 1;
+    const staffTops = [TOP_MARGIN, TOP_MARGIN + 4 * LINE_GAP + STAFF_GAP];
+    const height = staffTops[1] + 4 * LINE_GAP + TOP_MARGIN;
+
+    // x of a grid step, a step on a bar line belongs to the next measure
+    const xOf = (units) =>
+      left +
+      (Math.floor(units / this.measureUnits) - firstMeasure) * measureWidth +
+      MEASURE_PADDING +
+      (units % this.measureUnits) * unitPx +
+      unitPx / 2;
+
+    const svg = svgElement("svg", {
+      width,
+      height,
+      viewBox: `0 0 ${width} ${height}`,
+      class: "notation-staff",
+      role: "img",
+      "aria-label": "Grand staff transcription",
+    });
+
+    staves.forEach((staff, i) => {
+      const top = staffTops[i];
+      for (let line = 0; line < 5; line++) {
+        const y = top + line * LINE_GAP;
+        svg.appendChild(svgElement("line", { x1: 0, y1: y, x2: width, y2: y, class: "staff-line" }));
+      }
+
+      const clef = svgElement("text", {
+        x: 6,
+        y: top + (staff.sign === "G" ? 4.6 : 2.1) * LINE_GAP,
+        "font-size": staff.sign === "G" ? 44 : 30,
+      });
+      clef.textContent = staff.glyph;
+      svg.appendChild(clef);
+
+      const signature = fifths > 0 ? KEY_SIGNATURE_SHARPS : KEY_SIGNATURE_FLATS;
+      signature.steps.slice(0, Math.abs(fifths)).forEach((step, n) => {
+        const offset = staff.sign === "G" ? step : step - 2;
+        const accidental = svgElement("text", {
+          x: KEY_SIGNATURE_X + n * KEY_ACCIDENTAL_PX,
+          y: top + 4 * LINE_GAP - (offset * LINE_GAP) / 2 + 4.5,
+          "font-size": 14,
+        });
+        accidental.textContent = ACCIDENTAL_GLYPHS[fifths > 0 ? 1 : -1];
+        svg.appendChild(accidental);
+      });
+
+      [this.beatsPerBar, this.beatUnit].forEach((number, row) => {
+        const text = svgElement("text", {
+          x: left - 16,
+          y: top + (row + 1) * 2 * LINE_GAP - 1,
+          "font-size": 17,
+          "font-weight": "bold",
+          "text-anchor": "middle",
+        });
+        text.textContent = number;
+        svg.appendChild(text);
+      });
+
+      this.layout(staff.chords, measures)
+        .slice(firstMeasure)
+        .forEach((items) => {
+          // Accidentals last to the bar line, per staff position
+          const accidentals = new Map();
+          items.forEach((item) => this.drawItem(svg, staff, top, item, xOf, accidentals));
+        });
+    });
+
+    // Bar lines through both staves, and the system's left edge
+    const barTop = staffTops[0];
+    const barBottom = staffTops[1] + 4 * LINE_GAP;
+    for (let m = 0; m <= measures - firstMeasure; m++) {
+      const x = m === 0 ? 0.5 : left + m * measureWidth;
+      svg.appendChild(svgElement("line", { x1: x, y1: barTop, x2: x, y2: barBottom, class: "bar-line" }));
+    }
+
+    // Keep following the latest notes unless scrolled back to read
+    const container = this.container;
+    const following = container.scrollLeft + container.clientWidth >= container.scrollWidth - 40;
+    container.replaceChildren(svg);
+    if (following) container.scrollLeft = container.scrollWidth;
+  }
+
+  drawItem(svg, staff, top, item, xOf, accidentals) {
+    const x = xOf(item.start);
+    const bottomY = top + 4 * LINE_GAP;
+    const yOf = (step) => bottomY - ((step - staff.bottom) * LINE_GAP) / 2;
+
+    if (item.pitches.length === 0) {
+      this.drawRest(svg, top, x, item);
+      return;
+    }
+
+    const spellings = item.pitches.map((pitch) => spell(pitch, this.key));
+    const steps = item.pitches.map((pitch) => diatonic(pitch, this.key));
+    const lowest = steps[0];
+    const highest = steps[steps.length - 1];
+
+    // Ledger lines above and below the staff
+    for (let step = staff.bottom - 2; step >= lowest; step -= 2) {
+      svg.appendChild(svgElement("line", { x1: x - 9, y1: yOf(step), x2: x + 9, y2: yOf(step), class: "staff-line" }));
+    }
+    for (let step = staff.bottom + 10; step <= highest; step += 2) {
+      svg.appendChild(svgElement("line", { x1: x - 9, y1: yOf(step), x2: x + 9, y2: yOf(step), class: "staff-line" }));
+    }
+
+    const up = steps.reduce((sum, step) => sum + step, 0) / steps.length < staff.bottom + 4;
+    const filled = item.type !== "whole" && item.type !== "half";
+    let previous = null;
+
+    item.pitches.forEach((_pitch, i) => {
+      const step = steps[i];
+      const y = yOf(step);
+      // Seconds in a chord sit side by side
+      const shifted = previous !== null && step - previous.step === 1 && !previous.shifted;
+      const headX = shifted ? (up ? x + 10 : x - 10) : x;
+      previous = { step, shifted };
+
+      svg.appendChild(
+        svgElement("ellipse", {
+          cx: headX,
+          cy: y,
+          rx: 5.2,
+          ry: 3.8,
+          transform: `rotate(-20 ${headX} ${y})`,
+          class: filled ? "note-head" : "note-head hollow",
+        })
+      );
+
+      // Written when it differs from the key signature or an earlier note in the bar,
+      // a note tied over the bar line keeps its accidental without repeating it
+      const { letter, accidental } = spellings[i];
+      const current = accidentals.has(step) ? accidentals.get(step) : keyAccidental(letter, this.key.fifths);
+      if (accidental !== current) {
+        accidentals.set(step, accidental);
+        if (!item.tieStop) {
+          const sign = svgElement("text", { x: x - 17, y: y + 4.5, "font-size": 14 });
+          sign.textContent = ACCIDENTAL_GLYPHS[accidental];
+          svg.appendChild(sign);
+        }
+      }
+
+      for (let dot = 0; dot < item.dots; dot++) {
+        const dotY = (step - staff.bottom) % 2 === 0 ? y - LINE_GAP / 2 : y;
+        svg.appendChild(svgElement("circle", { cx: x + 10 + (up ? 10 : 0) + dot * 5, cy: dotY, r: 1.6 }));
+      }
+
+      if (item.tieStart) {
+        const endX = xOf(item.start + item.duration);
+        const tieY = up ? y + 6 : y - 6;
+        const bend = up ? 6 : -6;
+        svg.appendChild(
+          svgElement("path", {
+            d: `M ${x + 5} ${tieY} Q ${(x + endX) / 2} ${tieY + bend} ${endX - 5} ${tieY}`,
+            class: "tie",
+          })
+        );
+      }
+    });
+
+    if (item.type === "whole") return;
+
+    const stemX = up ? x + 5 : x - 5;
+    const stemEnd = up ? yOf(highest) - STEM_LENGTH : yOf(lowest) + STEM_LENGTH;
+    svg.appendChild(
+      svgElement("line", { x1: stemX, y1: up ? yOf(lowest) : yOf(highest), x2: stemX, y2: stemEnd, class: "stem" })
+    );
+
+    for (let flag = 0; flag < (FLAGS[item.type] || 0); flag++) {
+      const y = up ? stemEnd + flag * 6 : stemEnd - flag * 6;
+      svg.appendChild(
+        svgElement("line", { x1: stemX, y1: y, x2: stemX + 8, y2: up ? y + 10 : y - 10, class: "stem" })
+      );
+    }
+  }
+
+  drawRest(svg, top, x, item) {
+    if (item.type === "whole" || item.type === "half") {
+      // Whole rests hang from the fourth line, half rests sit on the middle one
+      const y = item.type === "whole" ? top + LINE_GAP : top + 2 * LINE_GAP - LINE_GAP / 2;
+      svg.appendChild(svgElement("rect", { x: x - 5, y, width: 10, height: LINE_GAP / 2, class: "rest" }));
+    } else {
+      const rest = svgElement("text", {
+        x,
+        y: top + 3 * LINE_GAP,
+        "font-size": 26,
+        "text-anchor": "middle",
+      });
+      rest.textContent = REST_GLYPHS[item.type];
+      svg.appendChild(rest);
+    }
+
+    for (let dot = 0; dot < item.dots; dot++) {
+      svg.appendChild(svgElement("circle", { cx: x + 10 + dot * 5, cy: top + 1.5 * LINE_GAP, r: 1.6 }));
+    }
+  }
+
+  // The transcription as a MusicXML score: one piano part on a grand staff
+  toMusicXML(title = "Live Piano") {
+    const { staves, measures } = this.transcribe();
+    const layouts = staves.map((staff) => this.layout(staff.chords, measures));
+    const beatType = BEAT_TYPES[this.beatUnit] || "quarter";
+
+    const measureXml = [];
+    for (let m = 0; m < measures; m++) {
+      const lines = [];
+      if (m === 0) {
+        lines.push(
+          "<attributes>",
+          `  <divisions>${this.unitsPerWhole / 4}</divisions>`,
+          `  <key><fifths>${this.key.fifths}</fifths><mode>${this.key.minor ? "minor" : "major"}</mode></key>`,
+          `  <time><beats>${this.beatsPerBar}</beats><beat-type>${this.beatUnit}</beat-type></time>`,
+          "  <staves>2</staves>",
+          ...staves.map(
+            (staff) => `  <clef number="${staff.number}"><sign>${staff.sign}</sign><line>${staff.line}</line></clef>`
+          ),
+          "</attributes>",
+          '<direction placement="above">',
+          "  <direction-type>",
+          `    <metronome><beat-unit>${beatType}</beat-unit><per-minute>${this.bpm}</per-minute></metronome>`,
+          "  </direction-type>",
+          `  <sound tempo="${(this.bpm * 4) / this.beatUnit}"/>`,
+          "</direction>"
+        );
+      }
+
+      staves.forEach((staff, i) => {
+        if (i > 0) lines.push(`<backup><duration>${this.measureUnits}</duration></backup>`);
+        layouts[i][m].forEach((item) => lines.push(...this.noteXml(item, staff.number)));
+      });
+
+      measureXml.push(
+        `    <measure number="${m + 1}">`,
+        ...lines.map((line) => `      ${line}`),
+        "    </measure>"
+      );
+    }
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+      '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" ' +
+        '"http://www.musicxml.org/dtds/partwise.dtd">',
+      '<score-partwise version="4.0">',
+      `  <work><work-title>${escapeXml(title)}</work-title></work>`,
+      "  <part-list>",
+      '    <score-part id="P1"><part-name>Piano</part-name></score-part>',
+      "  </part-list>",
+      '  <part id="P1">',
+      ...measureXml,
+      "  </part>",
+      "</score-partwise>",
+      "",
+    ].join("\n");
+  }
+
+  // <note> elements for a written note, chord or rest
+  noteXml(item, staffNumber) {
+    const value =
+      `<voice>${staffNumber}</voice><type>${item.type}</type>${"<dot/>".repeat(item.dots)}` +
+      `<staff>${staffNumber}</staff>`;
+
+    if (item.pitches.length === 0) {
+      return [`<note><rest/><duration>${item.duration}</duration>${value}</note>`];
+    }
+
+    const ties = [item.tieStop && "stop", item.tieStart && "start"].filter(Boolean);
+    const tie = ties.map((type) => `<tie type="${type}"/>`).join("");
+    const tied = ties.length > 0 ? `<notations>${ties.map((type) => `<tied type="${type}"/>`).join("")}</notations>` : "";
+
+    return item.pitches.map((pitch, i) => {
+      const { letter, accidental, octave } = spell(pitch, this.key);
+      return (
+        `<note>${i > 0 ? "<chord/>" : ""}` +
+        `<pitch><step>${LETTERS[letter]}</step>${accidental ? `<alter>${accidental}</alter>` : ""}` +
+        `<octave>${octave}</octave></pitch>` +
+        `<duration>${item.duration}</duration>${tie}${value}${tied}</note>`
+      );
+    });
+  }
+
+  // Trigger a browser download of the transcription as a .musicxml file
+  download(filename, title) {
+    const blob = new Blob([this.toMusicXML(title)], { type: "application/vnd.recordare.musicxml+xml" });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a moment to start the download before revoking
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  destroy() {
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+      this.frame = null;
+    }
+    this.stopRefresh();
+    this.notes = [];
+    this.heldNotes.clear();
+  }
+}
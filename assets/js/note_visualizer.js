@@ -0,0 +1,151 @@
+// Synthesia-style note bars above the on-screen keyboard. Bars grow out of
+// their key while a note is held and then drift away, colored by player. They
+// line up with the keys as drawn, so scrolling, zooming and the visible range
+// are followed automatically.
+
+// How fast bars move, in CSS pixels per second
+const PIXELS_PER_SECOND = 120;
+
+export const VISUALIZER_MODES = {
+  off: { name: "Off" },
+  rising: { name: "Rising" }, // Bars rise from the keys
+  falling: { name: "Falling" }, // Bars fall onto the keys, a canvas height behind the sound
+};
+
+export class NoteVisualizer {
+  // colorFor(source) returns a CSS color for a player
+  constructor(canvas, keyboard, colorFor) {
+    this.canvas = canvas;
+    this.context = canvas.getContext("2d");
+    this.keyboard = keyboard;
+    this.colorFor = colorFor;
+    this.mode = "rising";
+    this.bars = []; // { note, source, start, end } times from performance.now(), end null while held
+    this.frame = null;
+
+    this.resizeObserver = new ResizeObserver(() => this.resize());
+    this.resizeObserver.observe(canvas);
+    this.resize();
+  }
+
+  setMode(mode) {
+    if (!VISUALIZER_MODES[mode]) return;
+    this.mode = mode;
+    this.canvas.hidden = mode === "off";
+    if (mode === "off") {
+      this.bars = [];
+    }
+    this.resize();
+    this.draw();
+  }
+
+  noteOn(note, source) {
+    if (this.mode === "off") return;
+    this.noteOff(note, source); // A repeated note-on ends the previous bar
+    this.bars.push({ note, source, start: performance.now(), end: null });
+    this.start();
+  }
+
+  noteOff(note, source) {
+    const now = performance.now();
+    this.bars.forEach((bar) => {
+      if (bar.note === note && bar.source === source && bar.end === null) {
+        bar.end = now;
+      }
+    });
+  }
+
+  releaseAll() {
+    const now = performance.now();
+    this.bars.forEach((bar) => {
+      if (bar.end === null) bar.end = now;
+    });
+  }
+
+  resize() {
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(this.canvas.clientWidth * ratio);
+    const height = Math.round(this.canvas.clientHeight * ratio);
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+    this.context.setTransform(ratio, 0, 0, ratio, 0, 0);
+  }
+
+  // Animate only while there are bars to draw
+  start() {
+    if (this.frame === null) {
+      this.frame = requestAnimationFrame(() => this.tick());
+    }
+  }
+
+  tick() {
+    this.frame = null;
+    this.draw();
+    if (this.bars.length > 0) {
+      this.start();
+    }
+  }
+
+  draw() {
+    const width = this.canvas.clientWidth;
+    const height = this.canvas.clientHeight;
+    const context = this.context;
+    context.clearRect(0, 0, width, height);
+    if (this.mode === "off" || this.bars.length === 0) return;
+
+    const now = performance.now();
+    const canvasLeft = this.canvas.getBoundingClientRect().left;
+    const keyPositions = new Map(); // note -> { x, width, black }, measured once per frame
+
+    // Distance a moment in time has travelled from the keys
+    const travelled = (time) => ((now - time) / 1000) * PIXELS_PER_SECOND;
+
+    this.bars = this.bars.filter((bar) => bar.end === null || travelled(bar.end) < height);
+
+    this.bars.forEach((bar) => {
+      if (!keyPositions.has(bar.note)) {
+        const key = this.keyboard.keys.get(bar.note);
+        const rect = key && key.getBoundingClientRect();
+        keyPositions.set(bar.note, rect
+          ? { x: rect.left - canvasLeft, width: rect.width, black: key.classList.contains("black-key") }
+          : null);
+      }
+      const position = keyPositions.get(bar.note);
+      if (!position || position.x + position.width < 0 || position.x > width) return;
+
+      // Rising: the note-on end moves up from the keys. Falling: it moves down
+      // from the top and lands on the keys.
+      const head = travelled(bar.start);
+      const tail = bar.end === null ? 0 : travelled(bar.end);
+      const top = this.mode === "rising" ? height - head : tail;
+      const barHeight = Math.max(2, head - tail);
+
+      context.fillStyle = this.colorFor(bar.source);
+      context.globalAlpha = position.black ? 0.75 : 0.95;
+      const inset = position.width > 12 ? 2 : 0;
+      this.roundedRect(position.x + inset, top, position.width - inset * 2, barHeight, 3);
+    });
+    context.globalAlpha = 1;
+  }
+
+  roundedRect(x, y, width, height, radius) {
+    const context = this.context;
+    context.beginPath();
+    if (context.roundRect) {
+      context.roundRect(x, y, width, height, Math.min(radius, width / 2, height / 2));
+    } else {
+      context.rect(x, y, width, height);
+    }
+    context.fill();
+  }
+
+  destroy() {
+    if (this.frame !== null) {
+      cancelAnimationFrame(this.frame);
+    }
+    this.resizeObserver.disconnect();
+    this.bars = [];
+  }
+}
@@ -1,158 +1,317 @@
 // Piano synthesizer using Tone.js with multiple instrument support
 
 import * as Tone from "tone";
+import { EffectsBus } from "./effects_bus";
+import { LayeredSampler } from "./layered_sampler";
+
+// Pitches sampled in the Salamander grand (every minor third), Tone.js note name -> file name
+const SALAMANDER_NOTES = {
+  A0: "A0",
+  C1: "C1",
+  "D#1": "Ds1",
+  "F#1": "Fs1",
+  A1: "A1",
+  C2: "C2",
+  "D#2": "Ds2",
+  "F#2": "Fs2",
+  A2: "A2",
+  C3: "C3",
+  "D#3": "Ds3",
+  "F#3": "Fs3",
+  A3: "A3",
+  C4: "C4",
+  "D#4": "Ds4",
+  "F#4": "Fs4",
+  A4: "A4",
+  C5: "C5",
+  "D#5": "Ds5",
+  "F#5": "Fs5",
+  A5: "A5",
+  C6: "C6",
+  "D#6": "Ds6",
+  "F#6": "Fs6",
+  A6: "A6",
+  C7: "C7",
+  "D#7": "Ds7",
+  "F#7": "Fs7",
+  A7: "A7",
+  C8: "C8",
+};
+
+// The Salamander grand has 16 velocity layers, we load four spread over the range
+const SALAMANDER_LAYERS = [1, 5, 10, 15];
+
+// Files of one Salamander velocity layer and the MIDI velocity it was recorded at
+function salamanderLayer(layer) {
+  const urls = {};
+  Object.entries(SALAMANDER_NOTES).forEach(([note, file]) => {
+    urls[note] = `${file}v${layer}.mp3`;
+  });
+  return { velocity: Math.round((layer / 16) * 127), urls };
+}
 
-// Instrument definitions
+// Instrument definitions. Samples are served by the app itself from
+// `<samplesBaseUrl>/<path>/` (see `mix live_piano.fetch_samples`), loaded once
+// per instrument and shared by every player using it. Instruments with
+// `layers` pick samples by velocity, the others have one sample per pitch in `urls`.
 export const INSTRUMENTS = {
   piano: {
     name: "Piano",
-    createSynth: async () => {
-      const sampler = new Tone.Sampler({
-        urls: {
-          A0: "A0.mp3",
-          C1: "C1.mp3",
-          "D#1": "Ds1.mp3",
-          "F#1": "Fs1.mp3",
-          A1: "A1.mp3",
-          C2: "C2.mp3",
-          "D#2": "Ds2.mp3",
-          "F#2": "Fs2.mp3",
-          A2: "A2.mp3",
-          C3: "C3.mp3",
-          "D#3": "Ds3.mp3",
-          "F#3": "Fs3.mp3",
-          A3: "A3.mp3",
-          C4: "C4.mp3",
-          "D#4": "Ds4.mp3",
-          "F#4": "Fs4.mp3",
-          A4: "A4.mp3",
-          C5: "C5.mp3",
-          "D#5": "Ds5.mp3",
-          "F#5": "Fs5.mp3",
-          A5: "A5.mp3",
-          C6: "C6.mp3",
-          "D#6": "Ds6.mp3",
-          "F#6": "Fs6.mp3",
-          A6: "A6.mp3",
-          C7: "C7.mp3",
-          "D#7": "Ds7.mp3",
-          "F#7": "Fs7.mp3",
-          A7: "A7.mp3",
-          C8: "C8.mp3",
-        },
-        release: 1,
-        baseUrl: "https://tonejs.github.io/audio/salamander/",
-      }).toDestination();
-
-      await Tone.loaded();
-      return sampler;
-    },
+    layers: SALAMANDER_LAYERS.map(salamanderLayer),
+    release: 1,
+    path: "piano",
   },
   organ: {
     name: "Organ",
-    createSynth: async () => {
-      const sampler = new Tone.Sampler({
-        urls: {
-          C1: "C1.mp3",
-          C2: "C2.mp3",
-          C3: "C3.mp3",
-          C4: "C4.mp3",
-          C5: "C5.mp3",
-          C6: "C6.mp3",
-        },
-        release: 0.5,
-        baseUrl:
-          "https://nbrosowsky.github.io/tonejs-instruments/samples/organ/",
-        onload: () => console.log("Organ samples loaded"),
-        onerror: (err) => console.error("Organ sample error:", err),
-      }).toDestination();
-
-      await Tone.loaded();
-      return sampler;
+    urls: {
+      C1: "C1.mp3",
+      C2: "C2.mp3",
+      C3: "C3.mp3",
+      C4: "C4.mp3",
+      C5: "C5.mp3",
+      C6: "C6.mp3",
     },
+    release: 0.5,
+    path: "organ",
   },
   strings: {
     name: "Strings",
-    createSynth: async () => {
-      const sampler = new Tone.Sampler({
-        urls: {
-          A3: "A3.mp3",
-          A4: "A4.mp3",
-          A5: "A5.mp3",
-          C4: "C4.mp3",
-          C5: "C5.mp3",
-          C6: "C6.mp3",
-          E4: "E4.mp3",
-          E5: "E5.mp3",
-          G4: "G4.mp3",
-          G5: "G5.mp3",
-        },
-        release: 1,
-        baseUrl:
-          "https://nbrosowsky.github.io/tonejs-instruments/samples/violin/",
-        onload: () => console.log("Strings samples loaded"),
-        onerror: (err) => console.error("Strings sample error:", err),
-      }).toDestination();
-
-      await Tone.loaded();
-      return sampler;
+    urls: {
+      A3: "A3.mp3",
+      A4: "A4.mp3",
+      A5: "A5.mp3",
+      C4: "C4.mp3",
+      C5: "C5.mp3",
+      C6: "C6.mp3",
+      E4: "E4.mp3",
+      E5: "E5.mp3",
+      G4: "G4.mp3",
+      G5: "G5.mp3",
     },
+    release: 1,
+    path: "strings",
   },
   saxophone: {
     name: "Saxophone",
-    createSynth: async () => {
-      // Use MIDI.js soundfonts (FluidR3_GM alto sax)
-      const sampler = new Tone.Sampler({
-        urls: {
-          A3: "A3.mp3",
-          A4: "A4.mp3",
-          A5: "A5.mp3",
-          C4: "C4.mp3",
-          C5: "C5.mp3",
-          E4: "E4.mp3",
-          E5: "E5.mp3",
-          G4: "G4.mp3",
-          G5: "G5.mp3",
-        },
-        release: 0.5,
-        baseUrl:
-          "https://gleitz.github.io/midi-js-soundfonts/FluidR3_GM/alto_sax-mp3/",
-        onload: () => console.log("Saxophone samples loaded"),
-        onerror: (err) => console.error("Saxophone sample error:", err),
-      }).toDestination();
-
-      await Tone.loaded();
-      return sampler;
+    // MIDI.js soundfonts (FluidR3_GM alto sax)
+    urls: {
+      A3: "A3.mp3",
+      A4: "A4.mp3",
+      A5: "A5.mp3",
+      C4: "C4.mp3",
+      C5: "C5.mp3",
+      E4: "E4.mp3",
+      E5: "E5.mp3",
+      G4: "G4.mp3",
+      G5: "G5.mp3",
     },
+    release: 0.5,
+    path: "saxophone",
   },
 };
 
-export class Piano {
-  constructor() {
+export const DEFAULT_INSTRUMENT = "piano";
+
+export const DEFAULT_SAMPLES_BASE_URL = "/samples";
+
+// Give up on samples when none arrived for this long (blocked hosts can hang
+// instead of failing)
+const SAMPLE_LOAD_TIMEOUT_MS = 20000;
+
+// Every sample file of an instrument, keyed by "<layer>:<note>" for layered
+// instruments and by note name otherwise
+function sampleFiles(instrument) {
+  if (!instrument.layers) return instrument.urls;
+
+  const files = {};
+  instrument.layers.forEach((layer, index) => {
+    Object.entries(layer.urls).forEach(([note, file]) => {
+      files[`${index}:${note}`] = file;
+    });
+  });
+  return files;
+}
+
+// Built-in voice used when an instrument's samples can't be loaded, so the
+// room never goes silent
+function createFallbackSynth(output) {
+  return new Tone.PolySynth(Tone.Synth, {
+    oscillator: { type: "triangle" },
+    envelope: { attack: 0.005, decay: 0.4, sustain: 0.3, release: 1 },
+    volume: -8,
+  }).connect(output);
+}
+
+// Source id for our own playing; remote peers use their peer ids
+export const LOCAL_PEER_ID = "local";
+
+// Controller ranges and depths
+const PITCH_BEND_RANGE = 2; // Semitones at full bend
+const VIBRATO_HZ = 5.5;
+const MAX_VIBRATO_DEPTH = 0.3; // Vibrato depth at mod wheel 127
+const SOFT_PEDAL_VELOCITY = 0.75; // Una corda: notes are struck softer
+const CONTROL_RAMP_SECONDS = 0.02;
+
+// CC7 volume and CC11 expression combined into one gain, squared so the
+// controllers feel roughly linear in loudness
+function expressionGain(volume, expression) {
+  return (volume / 127) ** 2 * (expression / 127) ** 2;
+}
+
+// One player's (local or remote) sampler and playing state, so every player
+// can use their own instrument and be released independently. Sound flows
+// synth -> vibrato (mod wheel) -> expression (CC7/CC11) -> mixer gain.
+class Voice {
+  constructor(output) {
+    this.gain = new Tone.Gain().connect(output); // Mixer volume for this player
+    this.expression = new Tone.Gain().connect(this.gain);
+    // Fully dry until the mod wheel moves, so notes don't pass through its delay line
+    this.vibrato = new Tone.Vibrato({ frequency: VIBRATO_HZ, depth: 0, wet: 0 }).connect(this.expression);
+    this.input = this.vibrato; // Synths connect here
+    this.disposed = false;
     this.synth = null;
-    this.currentInstrument = null;
+    this.buffers = null; // Loaded samples the synth was built from
+    this.instrumentId = null;
+    this.fallback = false; // Playing through the built-in synth instead of samples
     this.initialized = false;
     this.loading = false;
     this.loadPromise = null;
     this.pendingNotes = new Map(); // Queue for notes during loading (noteNumber -> velocity, null means released)
     this.sustainPedalDown = false;
     this.sustainedNotes = new Set(); // Notes being held by sustain pedal
+    this.sostenutoPedalDown = false;
+    this.sostenutoNotes = new Set(); // Notes caught by the sostenuto pedal
+    this.softPedalDown = false;
     this.activeNotes = new Set(); // Notes currently being pressed
+    this.pitchBend = 0; // Semitones
+    this.volume = 127; // CC7
+    this.expressionLevel = 127; // CC11
+  }
+
+  // Release all active and sustained notes
+  releaseAll(time = Tone.now()) {
+    if (this.synth) {
+      const allNotes = new Set([...this.activeNotes, ...this.sustainedNotes, ...this.sostenutoNotes]);
+      allNotes.forEach((noteNumber) => {
+        this.synth.triggerRelease(midiToNoteName(noteNumber), time);
+      });
+    }
+
+    this.activeNotes.clear();
+    this.sustainedNotes.clear();
+    this.sostenutoNotes.clear();
+    this.pendingNotes.clear();
+    this.sustainPedalDown = false;
+    this.sostenutoPedalDown = false;
+    this.softPedalDown = false;
+  }
+
+  // Apply the pitch bend to the synth, including notes already sounding
+  retune(time = Tone.now()) {
+    if (!this.synth) return;
+
+    const cents = this.pitchBend * 100;
+    if (this.synth.setDetune) {
+      this.synth.setDetune(cents, time);
+    } else {
+      this.synth.set({ detune: cents });
+    }
+  }
+
+  dispose() {
+    if (this.synth) {
+      this.synth.dispose();
+      this.synth = null;
+    }
+    this.vibrato.dispose();
+    this.expression.dispose();
+    this.gain.dispose();
+    this.disposed = true;
+    this.initialized = false;
+  }
+}
+
+// Mixer settings of a source nobody has touched
+const DEFAULT_MIX = { volume: 1, muted: false, soloed: false };
+
+// Ramp mixer changes so they don't click
+const MIX_RAMP_SECONDS = 0.05;
+
+export class Piano {
+  constructor({
+    samplesBaseUrl = DEFAULT_SAMPLES_BASE_URL,
+    onLoadStateChange = null,
+    onQueuedNotesChange = null,
+    onSoundingNotesChange = null,
+    velocityCrossfade = true,
+  } = {}) {
+    this.samplesBaseUrl = samplesBaseUrl.replace(/\/+$/, "");
+    this.velocityCrossfade = velocityCrossfade; // Blend neighbouring velocity layers of layered instruments
+    this.onLoadStateChange = onLoadStateChange; // (instrumentId, state) as samples load or fail
+    this.onQueuedNotesChange = onQueuedNotesChange; // (count) of notes waiting for samples
+    this.onSoundingNotesChange = onSoundingNotesChange; // () whenever a note starts or stops sounding
+    this.voices = new Map(); // source -> Voice
+    this.sampleBuffers = new Map(); // instrumentId -> Promise of loaded Tone.ToneAudioBuffers
+    this.loadStates = new Map(); // instrumentId -> { status, loaded, total, error }
+    this.effects = new EffectsBus(); // Shared by every voice, settings come from the room
+    this.mix = new Map(); // source -> { volume, muted, soloed } set from the mixer
+    this.lastQueuedNoteCount = 0;
   }
 
   // Start loading samples immediately (before user interaction)
-  preload() {
-    return this.setInstrument("piano");
-  }
-
-  async setInstrument(instrumentId) {
-    // If already this instrument and initialized, do nothing
-    if (
-      instrumentId === this.currentInstrument &&
-      this.initialized &&
-      !this.loading
-    ) {
-      return this.loadPromise;
+  preload(instrumentId = DEFAULT_INSTRUMENT) {
+    return this.setInstrument(INSTRUMENTS[instrumentId] ? instrumentId : DEFAULT_INSTRUMENT);
+  }
+
+  voiceFor(source) {
+    if (!this.voices.has(source)) {
+      const voice = new Voice(this.effects.input);
+      voice.gain.gain.value = this._mixGain(source);
+      this.voices.set(source, voice);
+    }
+    return this.voices.get(source);
+  }
+
+  // Mixer settings of a remote source: { volume (0-1.5), muted, soloed }
+  mixOf(source) {
+    return this.mix.get(source) || DEFAULT_MIX;
+  }
+
+  // Change a remote source's mixer settings, e.g. { muted: true }
+  setMix(source, changes) {
+    this.mix.set(source, { ...this.mixOf(source), ...changes });
+    this._applyMix();
+  }
+
+  // Any solo silences every remote source that isn't soloed. Our own playing
+  // is never touched by the mixer.
+  _mixGain(source) {
+    if (source === LOCAL_PEER_ID) return 1;
+
+    const { volume, muted, soloed } = this.mixOf(source);
+    const anySoloed = [...this.mix.values()].some((mix) => mix.soloed);
+    if (muted || (anySoloed && !soloed)) return 0;
+    return volume;
+  }
+
+  _applyMix() {
+    this.voices.forEach((voice, source) => {
+      voice.gain.gain.rampTo(this._mixGain(source), MIX_RAMP_SECONDS);
+    });
+  }
+
+  instrumentOf(source) {
+    const voice = this.voices.get(source);
+    return voice ? voice.instrumentId : null;
+  }
+
+  // Switch the instrument one source plays through (ours by default)
+  async setInstrument(instrumentId, source = LOCAL_PEER_ID) {
+    const voice = this.voiceFor(source);
+
+    // If already this instrument (loaded or loading), do nothing
+    if (instrumentId === voice.instrumentId && (voice.initialized || voice.loading)) {
+      return voice.loadPromise;
     }
 
     const instrument = INSTRUMENTS[instrumentId];
@@ -162,59 +321,260 @@ export class Piano {
     }
 
     // Release all active notes before switching
-    this.releaseAllNotes();
+    voice.releaseAll();
+    this._notifyQueuedNotes();
+    this._notifySoundingNotes();
 
     // Store old synth to dispose after new one is ready
-    const oldSynth = this.synth;
-    this.synth = null;
+    const oldSynth = voice.synth;
+    voice.synth = null;
 
-    this.currentInstrument = instrumentId;
-    this.initialized = false;
-    this.loading = true;
+    voice.instrumentId = instrumentId;
+    voice.initialized = false;
+    voice.loading = true;
 
-    this.loadPromise = this._createSynth(instrument, oldSynth);
-    return this.loadPromise;
+    voice.loadPromise = this._createSynth(voice, instrumentId, oldSynth);
+    return voice.loadPromise;
   }
 
-  async _createSynth(instrument, oldSynth) {
-    try {
-      console.log("Creating synth for:", instrument.name);
-      const newSynth = await instrument.createSynth();
-
-      // Dispose old synth after new one is ready
-      if (oldSynth) {
-        try {
-          oldSynth.dispose();
-        } catch (e) {
-          console.warn("Error disposing old synth:", e);
+  // Load an instrument's samples once; every voice using it shares the buffers.
+  // Each file is added separately so progress can be reported as they arrive.
+  loadSamples(instrumentId) {
+    if (!this.sampleBuffers.has(instrumentId)) {
+      const instrument = INSTRUMENTS[instrumentId];
+      const files = sampleFiles(instrument);
+      const names = Object.keys(files);
+      let loaded = 0;
+      let settled = false;
+
+      this._setLoadState(instrumentId, { status: "loading", loaded, total: names.length });
+
+      const promise = new Promise((resolve, reject) => {
+        const fail = (err) => {
+          if (settled) return;
+          settled = true;
+          clearTimeout(timeout);
+          reject(err);
+        };
+
+        const onTimeout = () => fail(new Error(`Timed out loading ${instrument.name} samples`));
+        let timeout = setTimeout(onTimeout, SAMPLE_LOAD_TIMEOUT_MS);
+
+        const buffers = new Tone.ToneAudioBuffers({
+          baseUrl: `${this.samplesBaseUrl}/${instrument.path}/`,
+        });
+
+        names.forEach((name) => {
+          buffers.add(
+            name,
+            files[name],
+            () => {
+              if (settled) return;
+              loaded += 1;
+              clearTimeout(timeout);
+              timeout = setTimeout(onTimeout, SAMPLE_LOAD_TIMEOUT_MS);
+              this._setLoadState(instrumentId, { status: "loading", loaded, total: names.length });
+
+              if (loaded === names.length) {
+                settled = true;
+                clearTimeout(timeout);
+                console.log(`${instrument.name} samples loaded`);
+                resolve(buffers);
+              }
+            },
+            (err) => {
+              console.error(`${instrument.name} sample error:`, err);
+              fail(err instanceof Error ? err : new Error(`Could not load ${files[name]}`));
+            }
+          );
+        });
+      });
+
+      promise.then(
+        () => {
+          this._setLoadState(instrumentId, { status: "loaded", loaded, total: names.length });
+        },
+        (err) => {
+          // Forget failed loads so the next attempt retries
+          this.sampleBuffers.delete(instrumentId);
+          this._setLoadState(instrumentId, {
+            status: "error",
+            loaded,
+            total: names.length,
+            error: err.message,
+          });
         }
-      }
+      );
+      this.sampleBuffers.set(instrumentId, promise);
+    }
+    return this.sampleBuffers.get(instrumentId);
+  }
 
-      this.synth = newSynth;
-      this.initialized = true;
-      this.loading = false;
-      console.log("Synth ready:", instrument.name);
+  // Where an instrument's samples are: { status: "loading" | "loaded" | "error", loaded, total, error }
+  loadStateOf(instrumentId) {
+    return this.loadStates.get(instrumentId) || null;
+  }
 
-      // Play any queued notes that weren't released during loading
-      this.pendingNotes.forEach((velocity, noteNumber) => {
-        if (velocity !== null) {
-          this.playNote(noteNumber, velocity);
-        }
+  _setLoadState(instrumentId, state) {
+    this.loadStates.set(instrumentId, state);
+    if (this.onLoadStateChange) {
+      this.onLoadStateChange(instrumentId, state);
+    }
+  }
+
+  // Load an instrument's samples again after they failed. Voices that fell back
+  // to the built-in synth keep playing through it until the samples arrive.
+  retryInstrument(instrumentId) {
+    if (!INSTRUMENTS[instrumentId] || this.sampleBuffers.has(instrumentId)) {
+      return this.sampleBuffers.get(instrumentId);
+    }
+
+    const voices = [...this.voices.values()].filter(
+      (voice) => voice.instrumentId === instrumentId && voice.fallback && !voice.loading
+    );
+    if (voices.length === 0) {
+      return this.loadSamples(instrumentId).catch(() => {});
+    }
+
+    return Promise.all(
+      voices.map((voice) => {
+        voice.loading = true;
+        voice.loadPromise = this._createSynth(voice, instrumentId, voice.synth);
+        return voice.loadPromise;
+      })
+    );
+  }
+
+  // Notes played while samples load, waiting to sound (released ones don't count)
+  queuedNoteCount() {
+    let count = 0;
+    this.voices.forEach((voice) => {
+      voice.pendingNotes.forEach((velocity) => {
+        if (velocity !== null) count += 1;
+      });
+    });
+    return count;
+  }
+
+  // Notes a source has sounding right now: held down or kept by a pedal
+  soundingNotes(source) {
+    const voice = this.voices.get(source);
+    if (!voice) return [];
+    return [...new Set([...voice.activeNotes, ...voice.sustainedNotes, ...voice.sostenutoNotes])].sort(
+      (a, b) => a - b
+    );
+  }
+
+  _notifySoundingNotes() {
+    if (this.onSoundingNotesChange) {
+      this.onSoundingNotesChange();
+    }
+  }
+
+  _notifyQueuedNotes() {
+    const count = this.queuedNoteCount();
+    if (count === this.lastQueuedNoteCount) return;
+    this.lastQueuedNoteCount = count;
+    if (this.onQueuedNotesChange) {
+      this.onQueuedNotesChange(count);
+    }
+  }
+
+  // Build a sampler from an instrument's loaded buffers. Every instrument goes
+  // through LayeredSampler, which also handles pitch bend.
+  _createSampler(instrument, buffers, output) {
+    if (instrument.layers) {
+      const layers = instrument.layers.map((layer, index) => {
+        const urls = {};
+        Object.keys(layer.urls).forEach((note) => {
+          urls[note] = buffers.get(`${index}:${note}`);
+        });
+        return { velocity: layer.velocity, urls };
       });
-      this.pendingNotes.clear();
+
+      return new LayeredSampler({
+        layers,
+        release: instrument.release,
+        crossfade: this.velocityCrossfade,
+      }).connect(output);
+    }
+
+    // A single layer, velocity only scales the gain
+    const urls = {};
+    Object.keys(instrument.urls).forEach((note) => {
+      urls[note] = buffers.get(note);
+    });
+    return new LayeredSampler({
+      layers: [{ velocity: 127, urls }],
+      release: instrument.release,
+      velocityGainRange: 1,
+    }).connect(output);
+  }
+
+  async _createSynth(voice, instrumentId, oldSynth) {
+    const instrument = INSTRUMENTS[instrumentId];
+    let newSynth;
+
+    try {
+      console.log("Creating synth for:", instrument.name);
+      const buffers = await this.loadSamples(instrumentId);
+
+      // Another instrument was picked while loading, that load owns the voice now
+      // (or the player left and the voice is gone)
+      if (voice.instrumentId !== instrumentId || voice.disposed) {
+        if (oldSynth) oldSynth.dispose();
+        return;
+      }
+
+      newSynth = this._createSampler(instrument, buffers, voice.input);
+      voice.buffers = buffers;
+      voice.fallback = false;
     } catch (err) {
-      console.error("Error creating synth:", err);
-      this.loading = false;
-      this.initialized = false;
+      console.error(`Could not load ${instrument.name} samples, using built-in synth:`, err);
+      if (voice.instrumentId !== instrumentId || voice.disposed) {
+        if (oldSynth) oldSynth.dispose();
+        return;
+      }
+
+      newSynth = createFallbackSynth(voice.input);
+      voice.buffers = null;
+      voice.fallback = true;
     }
+
+    // Dispose old synth after new one is ready
+    if (oldSynth) {
+      try {
+        oldSynth.dispose();
+      } catch (e) {
+        console.warn("Error disposing old synth:", e);
+      }
+    }
+
+    voice.synth = newSynth;
+    voice.retune();
+    voice.initialized = true;
+    voice.loading = false;
+    console.log("Synth ready:", instrument.name, voice.fallback ? "(fallback)" : "");
+
+    // Play any queued notes that weren't released during loading
+    voice.pendingNotes.forEach((velocity, noteNumber) => {
+      if (velocity !== null) {
+        voice.activeNotes.add(noteNumber);
+        voice.synth.triggerAttack(midiToNoteName(noteNumber), Tone.now(), velocity / 127);
+      }
+    });
+    voice.pendingNotes.clear();
+    this._notifyQueuedNotes();
+    this._notifySoundingNotes();
   }
 
   async init() {
-    if (this.initialized) return;
+    const voice = this.voiceFor(LOCAL_PEER_ID);
+    if (voice.initialized) return;
 
     // If already loading, wait for it
-    if (this.loadPromise) {
-      await this.loadPromise;
+    if (voice.loadPromise) {
+      await voice.loadPromise;
       return;
     }
 
@@ -223,108 +583,247 @@ export class Piano {
   }
 
   releaseAllNotes() {
-    if (!this.synth) return;
+    this.voices.forEach((voice) => voice.releaseAll());
+    this._notifyQueuedNotes();
+    this._notifySoundingNotes();
+  }
 
-    // Release all active and sustained notes
-    const allNotes = new Set([...this.activeNotes, ...this.sustainedNotes]);
-    allNotes.forEach((noteNumber) => {
-      const noteName = this.midiToNoteName(noteNumber);
-      this.synth.triggerRelease(noteName, Tone.now());
-    });
+  // Release every note and the pedal of one source, e.g. a peer that disconnected
+  releaseSource(source, time = Tone.now()) {
+    const voice = this.voices.get(source);
+    if (voice) {
+      voice.releaseAll(time);
+      this._notifyQueuedNotes();
+      this._notifySoundingNotes();
+    }
+  }
 
-    this.activeNotes.clear();
-    this.sustainedNotes.clear();
+  // Drop a source that left the room, letting its release tail ring out first
+  removeSource(source) {
+    // A player who left can't keep everyone else soloed out
+    if (this.mix.delete(source)) {
+      this._applyMix();
+    }
+
+    const voice = this.voices.get(source);
+    if (!voice) return;
+
+    this.voices.delete(source);
+    voice.releaseAll();
+    this._notifyQueuedNotes();
+    this._notifySoundingNotes();
+    const release = voice.instrumentId ? INSTRUMENTS[voice.instrumentId].release : 0;
+    setTimeout(() => voice.dispose(), (release + 1) * 1000);
   }
 
-  // Play a note (MIDI note number, velocity 0-127)
-  playNote(noteNumber, velocity = 100) {
+  // Play a note (MIDI note number, velocity 0-127), optionally at a Tone.js time
+  playNote(noteNumber, velocity = 100, time = Tone.now(), source = LOCAL_PEER_ID) {
+    const voice = this.voiceFor(source);
+
+    // Remote players we haven't been told about yet start on the default instrument
+    if (!voice.instrumentId) {
+      this.setInstrument(DEFAULT_INSTRUMENT, source);
+    }
+
     // Queue note if still loading
-    if (this.loading && !this.initialized) {
-      this.pendingNotes.set(noteNumber, velocity);
+    if (voice.loading && !voice.initialized) {
+      voice.pendingNotes.set(noteNumber, velocity);
+      this._notifyQueuedNotes();
       return;
     }
 
-    if (!this.initialized || !this.synth) return;
+    if (!voice.initialized || !voice.synth) return;
 
-    const noteName = this.midiToNoteName(noteNumber);
-    const normalizedVelocity = velocity / 127;
+    const noteName = midiToNoteName(noteNumber);
+    const normalizedVelocity = (velocity / 127) * (voice.softPedalDown ? SOFT_PEDAL_VELOCITY : 1);
 
-    this.activeNotes.add(noteNumber);
-    this.synth.triggerAttack(noteName, Tone.now(), normalizedVelocity);
+    voice.activeNotes.add(noteNumber);
+    voice.synth.triggerAttack(noteName, time, normalizedVelocity);
+    this._notifySoundingNotes();
   }
 
-  // Stop a note
-  stopNote(noteNumber) {
+  // Stop a note, optionally at a Tone.js time
+  stopNote(noteNumber, time = Tone.now(), source = LOCAL_PEER_ID) {
+    const voice = this.voiceFor(source);
+
     // Mark as released if still loading
-    if (this.loading && !this.initialized) {
-      if (this.pendingNotes.has(noteNumber)) {
-        this.pendingNotes.set(noteNumber, null); // Mark as released
+    if (voice.loading && !voice.initialized) {
+      if (voice.pendingNotes.has(noteNumber)) {
+        voice.pendingNotes.set(noteNumber, null); // Mark as released
+        this._notifyQueuedNotes();
       }
       return;
     }
 
-    if (!this.initialized || !this.synth) return;
+    if (!voice.initialized || !voice.synth) return;
 
-    this.activeNotes.delete(noteNumber);
+    voice.activeNotes.delete(noteNumber);
 
     // If sustain pedal is down, don't release - add to sustained notes
-    if (this.sustainPedalDown) {
-      this.sustainedNotes.add(noteNumber);
+    if (voice.sustainPedalDown) {
+      voice.sustainedNotes.add(noteNumber);
       return;
     }
 
-    const noteName = this.midiToNoteName(noteNumber);
-    this.synth.triggerRelease(noteName, Tone.now());
+    // Notes caught by the sostenuto pedal ring until it's lifted
+    if (voice.sostenutoNotes.has(noteNumber)) return;
+
+    voice.synth.triggerRelease(midiToNoteName(noteNumber), time);
+    this._notifySoundingNotes();
   }
 
-  // Handle sustain pedal
-  setSustainPedal(isDown) {
-    this.sustainPedalDown = isDown;
+  // Handle a source's sustain pedal, optionally at a Tone.js time
+  setSustainPedal(isDown, time = Tone.now(), source = LOCAL_PEER_ID) {
+    const voice = this.voiceFor(source);
+    voice.sustainPedalDown = isDown;
 
     // When pedal is released, release all sustained notes that aren't actively pressed
     if (!isDown) {
-      this.sustainedNotes.forEach((noteNumber) => {
-        if (!this.activeNotes.has(noteNumber)) {
-          const noteName = this.midiToNoteName(noteNumber);
-          this.synth.triggerRelease(noteName, Tone.now());
+      voice.sustainedNotes.forEach((noteNumber) => {
+        const held = voice.activeNotes.has(noteNumber) || voice.sostenutoNotes.has(noteNumber);
+        if (!held && voice.synth) {
+          voice.synth.triggerRelease(midiToNoteName(noteNumber), time);
         }
       });
-      this.sustainedNotes.clear();
+      voice.sustainedNotes.clear();
+      this._notifySoundingNotes();
+    }
+  }
+
+  // Sostenuto pedal (CC66): holds only the notes sounding when it goes down
+  setSostenutoPedal(isDown, time = Tone.now(), source = LOCAL_PEER_ID) {
+    const voice = this.voiceFor(source);
+    if (isDown === voice.sostenutoPedalDown) return;
+    voice.sostenutoPedalDown = isDown;
+
+    if (isDown) {
+      voice.sostenutoNotes = new Set([...voice.activeNotes, ...voice.sustainedNotes]);
+      return;
     }
+
+    voice.sostenutoNotes.forEach((noteNumber) => {
+      if (voice.activeNotes.has(noteNumber)) return;
+      if (voice.sustainPedalDown) {
+        voice.sustainedNotes.add(noteNumber);
+      } else if (voice.synth) {
+        voice.synth.triggerRelease(midiToNoteName(noteNumber), time);
+      }
+    });
+    voice.sostenutoNotes.clear();
+    this._notifySoundingNotes();
   }
 
-  // Convert MIDI note number to Tone.js note name
-  midiToNoteName(noteNumber) {
-    const notes = [
-      "C",
-      "C#",
-      "D",
-      "D#",
-      "E",
-      "F",
-      "F#",
-      "G",
-      "G#",
-      "A",
-      "A#",
-      "B",
-    ];
-    const octave = Math.floor(noteNumber / 12) - 1;
-    const noteName = notes[noteNumber % 12];
-    return `${noteName}${octave}`;
+  // Soft pedal (CC67): notes struck while it's down are played softer
+  setSoftPedal(isDown, time = Tone.now(), source = LOCAL_PEER_ID) {
+    this.voiceFor(source).softPedalDown = isDown;
   }
 
-  destroy() {
-    if (this.synth) {
-      this.synth.dispose();
-      this.synth = null;
+  // Pitch bend from -1 (down) to 1 (up), bends the notes already sounding too
+  setPitchBend(bend, time = Tone.now(), source = LOCAL_PEER_ID) {
+    const voice = this.voiceFor(source);
+    voice.pitchBend = Math.max(-1, Math.min(1, bend)) * PITCH_BEND_RANGE;
+    voice.retune(time);
+  }
+
+  // Continuous controllers: 1 (mod wheel -> vibrato), 7 (volume), 11 (expression)
+  setController(controller, value, time = Tone.now(), source = LOCAL_PEER_ID) {
+    const voice = this.voiceFor(source);
+
+    if (controller === 1) {
+      voice.vibrato.depth.rampTo((value / 127) * MAX_VIBRATO_DEPTH, CONTROL_RAMP_SECONDS, time);
+      voice.vibrato.wet.rampTo(value > 0 ? 1 : 0, CONTROL_RAMP_SECONDS, time);
+      return;
     }
-    this.initialized = false;
-    this.currentInstrument = null;
+
+    if (controller === 7) {
+      voice.volume = value;
+    } else if (controller === 11) {
+      voice.expressionLevel = value;
+    } else {
+      return;
+    }
+    voice.expression.gain.rampTo(
+      expressionGain(voice.volume, voice.expressionLevel),
+      CONTROL_RAMP_SECONDS,
+      time
+    );
+  }
+
+  // All Sound Off (CC120): silence a source at once, release tails included
+  allSoundOff(source = LOCAL_PEER_ID) {
+    const voice = this.voices.get(source);
+    if (!voice) return;
+
+    voice.releaseAll();
+    this._notifyQueuedNotes();
+    this._notifySoundingNotes();
+    if (!voice.initialized || voice.loading || !voice.synth) return;
+
+    // Disposing a synth stops everything it plays, so swap in a fresh one
+    const oldSynth = voice.synth;
+    voice.synth = voice.buffers
+      ? this._createSampler(INSTRUMENTS[voice.instrumentId], voice.buffers, voice.input)
+      : createFallbackSynth(voice.input);
+    voice.retune();
+    oldSynth.dispose();
+  }
+
+  // Apply the room's effect settings
+  setEffects(settings) {
+    this.effects.apply(settings);
   }
+
+  destroy() {
+    this.voices.forEach((voice) => voice.dispose());
+    this.voices.clear();
+    this.sampleBuffers.forEach((promise) => {
+      promise.then((buffers) => buffers.dispose()).catch(() => {});
+    });
+    this.sampleBuffers.clear();
+    this.loadStates.clear();
+    this.mix.clear();
+    this.effects.dispose();
+    this.onLoadStateChange = null;
+    this.onQueuedNotesChange = null;
+    this.onSoundingNotesChange = null;
+  }
+}
+
+// Convert MIDI note number to Tone.js note name
+function midiToNoteName(noteNumber) {
+  const notes = [
+    "C",
+    "C#",
+    "D",
+    "D#",
+    "E",
+    "F",
+    "F#",
+    "G",
+    "G#",
+    "A",
+    "A#",
+    "B",
+  ];
+  const octave = Math.floor(noteNumber / 12) - 1;
+  const noteName = notes[noteNumber % 12];
+  return `${noteName}${octave}`;
 }
 
 // Need to start audio context on user interaction
 export async function startAudioContext() {
   await Tone.start();
 }
+
+// Current time on the audio clock, for scheduling notes ahead
+export function audioNow() {
+  return Tone.now();
+}
+
+// Estimated delay from triggering a note to hearing it, in milliseconds:
+// Tone's scheduling look-ahead plus the audio hardware latency
+export function audioOutputLatency() {
+  const context = Tone.getContext();
+  const raw = context.rawContext;
+  return (context.lookAhead + (raw.baseLatency || 0) + (raw.outputLatency || 0)) * 1000;
+}
@@ -1,46 +1,95 @@
 // Piano keyboard UI renderer with mouse and keyboard input
 
+import { KEY_LAYOUTS, DEFAULT_KEY_LAYOUT, RESERVED_KEY_CODES, keyCodeLabel } from "./key_layouts";
+
+// Lowest and highest note of an 88-key piano, everything the keyboard can play
+const LOWEST_NOTE = 21; // A0
+const HIGHEST_NOTE = 108; // C8
+
+// How many keys are drawn. The smaller ranges start around middle C and shift
+// by octaves when a note is played (or followed) outside them.
+export const KEYBOARD_RANGES = {
+  25: { name: "25 keys", start: 48, end: 72 }, // C3-C5
+  49: { name: "49 keys", start: 36, end: 84 }, // C2-C6
+  61: { name: "61 keys", start: 36, end: 96 }, // C2-C7
+  88: { name: "88 keys", start: LOWEST_NOTE, end: HIGHEST_NOTE }, // A0-C8
+};
+const DEFAULT_RANGE = 88;
+
+// White key width at zoom 1. The full keyboard uses a fixed width and scrolls,
+// the smaller ranges are sized to fit the screen.
+const WHITE_KEY_PX = 40;
+const SMALL_SCREEN_WHITE_KEY_PX = 28;
+const MAX_FIT_WHITE_KEY_PX = 72;
+const MIN_ZOOM = 0.5;
+const MAX_ZOOM = 3;
+
+// How far the computer keyboard's notes can be moved
+const MAX_OCTAVE_SHIFT = 3;
+const MAX_TRANSPOSE = 12;
+
+// Velocity for computer keyboard notes (and on-screen ones with the fixed
+// curve) until the player picks another
+const DEFAULT_VELOCITY = 100;
+
+// Sensitivity curves for on-screen keys: the 0-1 strike strength is raised to
+// the exponent, a light touch gets loud sooner, a heavy touch needs more force.
+// "fixed" plays every on-screen note at the velocity setting.
+export const TOUCH_CURVES = {
+  fixed: { name: "Fixed", exponent: null },
+  light: { name: "Light", exponent: 0.5 },
+  normal: { name: "Normal", exponent: 1 },
+  heavy: { name: "Heavy", exponent: 2 },
+};
+
+// The softest on-screen strike still has to be heard
+const MIN_STRIKE_VELOCITY = 20;
+
+// Touch contact diameters (CSS pixels) for the softest and the hardest strike
+const CONTACT_SOFT_PX = 8;
+const CONTACT_HARD_PX = 40;
+
 export class PianoKeyboard {
-  constructor(container, onNoteOn, onNoteOff) {
+  // onSettingsChange({ octave, transpose, velocity, touchCurve, contactVelocity,
+  // layout, keyMap, rebinding, rebindNote, range, zoom, autoFollow }) is called
+  // when any setting changes
+  constructor(container, onNoteOn, onNoteOff, onSettingsChange = null) {
     this.container = container;
     this.onNoteOn = onNoteOn;
     this.onNoteOff = onNoteOff;
+    this.onSettingsChange = onSettingsChange;
+    this.onHighlightChange = null; // (note, source, down) for every highlight, e.g. the visualizer
+    this.colorFor = null; // source -> CSS color for its highlights, default green without
     this.keys = new Map(); // noteNumber -> element
-    this.startNote = 21; // A0 (lowest note on standard 88-key piano)
-    this.endNote = 108; // C8 (highest note on standard 88-key piano)
-    this.pressedKeys = new Set();
-    this.mouseDown = false;
-
-    // Computer keyboard mapping (starting from C4 = 60)
-    this.keyboardMap = {
-      // Lower row - white keys
-      'a': 60, // C4
-      's': 62, // D4
-      'd': 64, // E4
-      'f': 65, // F4
-      'g': 67, // G4
-      'h': 69, // A4
-      'j': 71, // B4
-      'k': 72, // C5
-      'l': 74, // D5
-      ';': 76, // E5
-      // Upper row - black keys
-      'w': 61, // C#4
-      'e': 63, // D#4
-      't': 66, // F#4
-      'y': 68, // G#4
-      'u': 70, // A#4
-      'o': 73, // C#5
-      'p': 75, // D#5
-      // Extra keys
-      'z': 48, // C3
-      'x': 50, // D3
-      'c': 52, // E3
-      'v': 53, // F3
-      'b': 55, // G3
-      'n': 57, // A3
-      'm': 59, // B3
-    };
+    this.keyHolders = new Map(); // noteNumber -> Set of sources holding the key down
+    this.range = DEFAULT_RANGE; // Key of KEYBOARD_RANGES
+    this.rangeShift = 0; // Semitones the drawn range is moved from its preset
+    this.startNote = KEYBOARD_RANGES[DEFAULT_RANGE].start; // Lowest key drawn
+    this.endNote = KEYBOARD_RANGES[DEFAULT_RANGE].end; // Highest key drawn
+    this.zoom = 1;
+    this.autoFollow = false; // Scroll to notes played off-screen
+    this.gesturePointers = new Map(); // pointerId -> clientX, for scrolling and pinching
+    this.gesture = null;
+    this.resizeObserver = null;
+    this.pressedKeys = new Map(); // noteNumber -> how many of our pointers and keys hold it
+    this.pointers = new Map(); // pointerId -> note under it, null when off the keys
+    this.keysElement = null;
+    this.octave = 0; // Octave shift of the computer keyboard
+    this.transpose = 0; // Semitones, on top of the octave shift
+    this.velocity = DEFAULT_VELOCITY;
+    this.touchCurve = "normal"; // Key of TOUCH_CURVES
+    this.contactVelocity = false; // Also use the touch contact size
+    this.heldComputerKeys = new Map(); // key code -> note it started, shifting doesn't strand it
+    this.onComputerKeyDown = (e) => this.handleComputerKeyDown(e);
+    this.onComputerKeyUp = (e) => this.handleComputerKeyUp(e);
+    this.onWindowBlur = () => this.releaseLocalInput();
+
+    // Computer keyboard mapping, physical key code -> note
+    this.layout = DEFAULT_KEY_LAYOUT; // Preset id, or "custom" once a key is rebound
+    this.keyboardMap = { ...KEY_LAYOUTS[DEFAULT_KEY_LAYOUT].map };
+    this.layoutMap = null; // Browser's KeyboardLayoutMap, for key labels
+    this.rebinding = false;
+    this.rebindNote = null; // On-screen key waiting for a computer key
   }
 
   render() {
@@ -60,12 +109,77 @@ export class PianoKeyboard {
     const keyboard = document.createElement("div");
     keyboard.className = "piano-keys";
 
+    // Strip above the keys: drag it to scroll, pinch it to zoom. On the keys
+    // themselves fingers play notes.
+    const fallboard = document.createElement("div");
+    fallboard.className = "piano-fallboard";
+    keyboard.appendChild(fallboard);
+
+    // One set of Pointer Events listeners for mouse, pen and every finger. Each
+    // pointer plays the key under it, sliding onto another key moves the note
+    // there (glissando) and leaving the keyboard releases it.
+    keyboard.addEventListener("pointerdown", (e) => this.handlePointerDown(e));
+    keyboard.addEventListener("pointermove", (e) => this.handlePointerMove(e));
+    keyboard.addEventListener("pointerup", (e) => this.handlePointerUp(e));
+    keyboard.addEventListener("pointercancel", (e) => this.handlePointerUp(e));
+    keyboard.addEventListener("lostpointercapture", (e) => this.handlePointerUp(e));
+    this.keysElement = keyboard;
+
+    pianoFrame.appendChild(keyboard);
+
+    // Right end cap
+    const rightEnd = document.createElement("div");
+    rightEnd.className = "piano-end piano-end-right";
+    pianoFrame.appendChild(rightEnd);
+
+    this.container.appendChild(pianoFrame);
+
+    // Trackpad pinch arrives as a wheel event with the Ctrl key held
+    this.container.addEventListener("wheel", (e) => {
+      if (!e.ctrlKey) return;
+      e.preventDefault();
+      this.setZoom(this.zoom * Math.exp(-e.deltaY / 200), e.clientX);
+    }, { passive: false });
+
+    // Fitted key widths depend on the screen width
+    if (window.ResizeObserver) {
+      this.resizeObserver = new ResizeObserver(() => this.applyKeyWidth());
+      this.resizeObserver.observe(this.container);
+    }
+
+    this.renderKeys();
+
+    // Computer keyboard listeners
+    document.addEventListener("keydown", this.onComputerKeyDown);
+    document.addEventListener("keyup", this.onComputerKeyUp);
+    // Key-ups and pointer-ups don't arrive while another window has focus
+    window.addEventListener("blur", this.onWindowBlur);
+
+    // Label keys with what's printed on them in the player's keyboard language
+    if (navigator.keyboard && navigator.keyboard.getLayoutMap) {
+      navigator.keyboard.getLayoutMap()
+        .then((layoutMap) => {
+          this.layoutMap = layoutMap;
+          this.updateKeyWindow();
+        })
+        .catch((err) => console.warn("Keyboard layout map unavailable:", err));
+    }
+  }
+
+  // (Re)draw the keys of the current range, keeping highlights and hints
+  renderKeys() {
+    if (!this.keysElement) return;
+
+    this.keysElement.querySelectorAll(".piano-key").forEach((key) => key.remove());
+    this.keys.clear();
+
     for (let note = this.startNote; note <= this.endNote; note++) {
       const isBlack = this.isBlackKey(note);
       const key = document.createElement("div");
 
       key.className = `piano-key ${isBlack ? "black-key" : "white-key"}`;
       key.dataset.note = note;
+      if (note === this.rebindNote) key.classList.add("rebind-target");
 
       // Add note label for C notes
       if (note % 12 === 0) {
@@ -75,113 +189,616 @@ export class PianoKeyboard {
         key.appendChild(label);
       }
 
-      // Mouse/touch events
-      key.addEventListener("mousedown", (e) => this.handleKeyDown(note, e));
-      key.addEventListener("mouseenter", (e) => {
-        if (this.mouseDown) this.handleKeyDown(note, e);
-      });
-      key.addEventListener("mouseup", () => this.handleKeyUp(note));
-      key.addEventListener("mouseleave", () => this.handleKeyUp(note));
+      this.keysElement.appendChild(key);
+      this.keys.set(note, key);
+      this.updateKeyColor(note);
+    }
 
-      // Touch events
-      key.addEventListener("touchstart", (e) => {
-        e.preventDefault();
-        this.handleKeyDown(note, e);
-      });
-      key.addEventListener("touchend", (e) => {
-        e.preventDefault();
-        this.handleKeyUp(note);
-      });
+    this.updateKeyWindow();
+    this.applyKeyWidth();
+  }
 
-      keyboard.appendChild(key);
-      this.keys.set(note, key);
+  handlePointerDown(e) {
+    if (e.pointerType === "mouse" && e.button !== 0) return;
+
+    if (e.target.closest(".piano-fallboard")) {
+      e.preventDefault();
+      this.keysElement.setPointerCapture(e.pointerId);
+      this.gesturePointers.set(e.pointerId, e.clientX);
+      this.startGesture();
+      return;
     }
 
-    pianoFrame.appendChild(keyboard);
+    const note = this.noteAtPoint(e.clientX, e.clientY);
+    if (note === null) return;
+    e.preventDefault();
 
-    // Right end cap
-    const rightEnd = document.createElement("div");
-    rightEnd.className = "piano-end piano-end-right";
-    pianoFrame.appendChild(rightEnd);
+    // While rebinding, clicking a key picks the note to bind instead of playing it
+    if (this.rebinding) {
+      this.selectRebindNote(note);
+      return;
+    }
 
-    this.container.appendChild(pianoFrame);
+    // Keep receiving this pointer's moves once it slides off the key it started on
+    this.keysElement.setPointerCapture(e.pointerId);
+    this.pointers.set(e.pointerId, note);
+    this.handleKeyDown(note, this.pointerVelocity(e, note));
+  }
 
-    // Global mouse up listener
-    document.addEventListener("mouseup", () => {
-      this.mouseDown = false;
-    });
+  handlePointerMove(e) {
+    if (this.gesturePointers.has(e.pointerId)) {
+      this.gesturePointers.set(e.pointerId, e.clientX);
+      this.moveGesture();
+      return;
+    }
+    if (!this.pointers.has(e.pointerId)) return;
 
-    // Computer keyboard listeners
-    document.addEventListener("keydown", (e) => this.handleComputerKeyDown(e));
-    document.addEventListener("keyup", (e) => this.handleComputerKeyUp(e));
+    const note = this.noteAtPoint(e.clientX, e.clientY);
+    const current = this.pointers.get(e.pointerId);
+    if (note === current) return;
+
+    if (current !== null) this.handleKeyUp(current);
+    this.pointers.set(e.pointerId, note);
+    if (note !== null) this.handleKeyDown(note, this.pointerVelocity(e, note));
+  }
+
+  handlePointerUp(e) {
+    if (this.gesturePointers.delete(e.pointerId)) {
+      this.startGesture(); // Carry on with the fingers still down
+      return;
+    }
+    if (!this.pointers.has(e.pointerId)) return;
+
+    const note = this.pointers.get(e.pointerId);
+    this.pointers.delete(e.pointerId);
+    if (note !== null) this.handleKeyUp(note);
+  }
+
+  // One finger on the fallboard scrolls the keyboard, two pinch to zoom
+  startGesture() {
+    const xs = [...this.gesturePointers.values()];
+    if (xs.length === 1) {
+      this.gesture = { startX: xs[0], startScroll: this.container.scrollLeft };
+    } else if (xs.length >= 2) {
+      this.gesture = { startDistance: Math.max(1, Math.abs(xs[0] - xs[1])), startZoom: this.zoom };
+    } else {
+      this.gesture = null;
+    }
+  }
+
+  moveGesture() {
+    const xs = [...this.gesturePointers.values()];
+    if (!this.gesture) return;
+
+    if (xs.length === 1 && this.gesture.startX !== undefined) {
+      this.container.scrollLeft = this.gesture.startScroll - (xs[0] - this.gesture.startX);
+    } else if (xs.length >= 2 && this.gesture.startDistance !== undefined) {
+      const distance = Math.abs(xs[0] - xs[1]);
+      this.setZoom((this.gesture.startZoom * distance) / this.gesture.startDistance, (xs[0] + xs[1]) / 2);
+    }
+  }
+
+  // Velocity of an on-screen strike. Keys play louder toward their front edge;
+  // pen and touch pressure (when the hardware reports it) and, if enabled, the
+  // touch contact size are averaged in. The sensitivity curve shapes the result.
+  pointerVelocity(e, note) {
+    const { exponent } = TOUCH_CURVES[this.touchCurve] || TOUCH_CURVES.normal;
+    if (exponent === null) return this.velocity;
+
+    const clamp = (value) => Math.max(0, Math.min(1, value));
+    const strengths = [];
+
+    const key = this.keys.get(note);
+    if (key) {
+      const rect = key.getBoundingClientRect();
+      strengths.push(clamp((e.clientY - rect.top) / rect.height));
+    }
+
+    // Without pressure hardware, browsers report 0.5 while a pointer is down
+    if (e.pressure > 0 && e.pressure !== 0.5) {
+      strengths.push(clamp(e.pressure));
+    }
+
+    // Devices that can't measure the contact report 1x1
+    if (this.contactVelocity && e.pointerType === "touch" && e.width > 1 && e.height > 1) {
+      const diameter = Math.sqrt(e.width * e.height);
+      strengths.push(clamp((diameter - CONTACT_SOFT_PX) / (CONTACT_HARD_PX - CONTACT_SOFT_PX)));
+    }
+
+    if (strengths.length === 0) return this.velocity;
+
+    const strength = strengths.reduce((sum, value) => sum + value, 0) / strengths.length;
+    return Math.round(MIN_STRIKE_VELOCITY + (127 - MIN_STRIKE_VELOCITY) * Math.pow(strength, exponent));
   }
 
-  handleKeyDown(note, e) {
-    if (e) e.preventDefault();
-    this.mouseDown = true;
+  // Key under a point, the black keys sit on top of the white ones
+  noteAtPoint(x, y) {
+    const element = document.elementFromPoint(x, y);
+    const key = element && element.closest(".piano-key");
+    return key && this.keysElement.contains(key) ? Number(key.dataset.note) : null;
+  }
+
+  // Our pointers and computer keys can hold the same note, it sounds from the
+  // first press until the last release
+  handleKeyDown(note, velocity = this.velocity) {
+    const holds = this.pressedKeys.get(note) || 0;
+    this.pressedKeys.set(note, holds + 1);
 
-    if (!this.pressedKeys.has(note)) {
-      this.pressedKeys.add(note);
+    if (holds === 0) {
       this.highlightKey(note);
-      if (this.onNoteOn) this.onNoteOn(note, 100);
+      if (this.onNoteOn) this.onNoteOn(note, velocity);
     }
   }
 
   handleKeyUp(note) {
-    if (this.pressedKeys.has(note)) {
-      this.pressedKeys.delete(note);
-      this.unhighlightKey(note);
-      if (this.onNoteOff) this.onNoteOff(note);
+    const holds = this.pressedKeys.get(note);
+    if (!holds) return;
+
+    if (holds > 1) {
+      this.pressedKeys.set(note, holds - 1);
+      return;
     }
+
+    this.pressedKeys.delete(note);
+    this.unhighlightKey(note);
+    if (this.onNoteOff) this.onNoteOff(note);
+  }
+
+  // Let go of every pointer and computer key
+  releaseLocalInput() {
+    this.pointers.forEach((note) => {
+      if (note !== null) this.handleKeyUp(note);
+    });
+    this.pointers.clear();
+    this.heldComputerKeys.forEach((note) => this.handleKeyUp(note));
+    this.heldComputerKeys.clear();
   }
 
   handleComputerKeyDown(e) {
     // Ignore if typing in an input field
-    if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
     if (e.repeat) return; // Ignore key repeat
+    if (e.ctrlKey || e.metaKey || e.altKey) return; // Leave browser shortcuts alone
+
+    if (this.rebinding && this.handleRebindKey(e.code)) {
+      e.preventDefault();
+      return;
+    }
+
+    // Shift moves the velocity hotkeys off the number row for layouts that play
+    // notes on it, like Tracker
+    if (e.shiftKey && /^Digit[1-9]$/.test(e.code) && this.handleHotkey(e.code)) {
+      e.preventDefault();
+      return;
+    }
 
-    const note = this.keyboardMap[e.key.toLowerCase()];
+    // Otherwise bound keys win over hotkeys
+    const note = this.noteForKey(e.code);
     if (note !== undefined) {
       e.preventDefault();
-      this.handleKeyDown(note, null);
+      if (note === null || this.heldComputerKeys.has(e.code)) return;
+      this.heldComputerKeys.set(e.code, note);
+      this.handleKeyDown(note);
+      return;
+    }
+
+    if (this.handleHotkey(e.code)) {
+      e.preventDefault();
     }
   }
 
   handleComputerKeyUp(e) {
-    const note = this.keyboardMap[e.key.toLowerCase()];
+    const note = this.heldComputerKeys.get(e.code);
     if (note !== undefined) {
+      this.heldComputerKeys.delete(e.code);
       this.handleKeyUp(note);
     }
   }
 
+  // Arrow keys shift the octave (left/right) and transpose (down/up), the
+  // number keys (or the numpad) pick a velocity from soft (1) to full (9)
+  handleHotkey(code) {
+    const digit = /^(?:Digit|Numpad)([1-9])$/.exec(code);
+
+    if (code === "ArrowLeft") {
+      this.setOctave(this.octave - 1);
+    } else if (code === "ArrowRight") {
+      this.setOctave(this.octave + 1);
+    } else if (code === "ArrowDown") {
+      this.setTranspose(this.transpose - 1);
+    } else if (code === "ArrowUp") {
+      this.setTranspose(this.transpose + 1);
+    } else if (digit) {
+      this.setVelocity(Math.round((Number(digit[1]) * 127) / 9));
+    } else {
+      return false;
+    }
+    return true;
+  }
+
+  // Note a computer key plays right now: undefined for unbound keys, null when
+  // the shift moves it past the ends of a piano
+  noteForKey(code) {
+    const base = this.keyboardMap[code];
+    if (base === undefined) return undefined;
+
+    const note = base + this.octave * 12 + this.transpose;
+    return note >= LOWEST_NOTE && note <= HIGHEST_NOTE ? note : null;
+  }
+
+  setLayout(layout) {
+    if (!KEY_LAYOUTS[layout]) return;
+    this.layout = layout;
+    this.keyboardMap = { ...KEY_LAYOUTS[layout].map };
+    this.updateKeyWindow();
+    this.notifySettingsChange();
+  }
+
+  // A saved mapping, layout is the preset it matches or "custom"
+  setKeyMap(keyMap, layout = "custom") {
+    this.layout = layout;
+    this.keyboardMap = { ...keyMap };
+    this.updateKeyWindow();
+    this.notifySettingsChange();
+  }
+
+  // Rebinding: click an on-screen key, then press the computer key that should
+  // play it (Backspace/Delete unbinds it). Escape or stopRebinding() finishes.
+  startRebinding() {
+    this.rebinding = true;
+    this.rebindNote = null;
+    this.notifySettingsChange();
+  }
+
+  stopRebinding() {
+    this.rebinding = false;
+    this.selectRebindNote(null);
+  }
+
+  selectRebindNote(note) {
+    if (this.rebindNote !== null) {
+      const previous = this.keys.get(this.rebindNote);
+      if (previous) previous.classList.remove("rebind-target");
+    }
+
+    this.rebindNote = note;
+    const key = note === null ? null : this.keys.get(note);
+    if (key) key.classList.add("rebind-target");
+    this.notifySettingsChange();
+  }
+
+  // Returns true if the key press was used for rebinding
+  handleRebindKey(code) {
+    if (code === "Escape") {
+      this.stopRebinding();
+      return true;
+    }
+    if (this.rebindNote === null) return false;
+
+    if (code === "Backspace" || code === "Delete") {
+      this.unbindNote(this.rebindNote);
+    } else if (!RESERVED_KEY_CODES.includes(code)) {
+      this.bindKey(code, this.rebindNote);
+    } else {
+      return false;
+    }
+    this.selectRebindNote(null);
+    return true;
+  }
+
+  // Make a computer key play a note as the keyboard is shifted right now. The
+  // note's previous key is freed, one key per note keeps the hints readable.
+  bindKey(code, note) {
+    const base = note - this.octave * 12 - this.transpose;
+    Object.keys(this.keyboardMap).forEach((bound) => {
+      if (this.keyboardMap[bound] === base) delete this.keyboardMap[bound];
+    });
+    this.keyboardMap[code] = base;
+    this.layout = "custom";
+    this.updateKeyWindow();
+    this.notifySettingsChange();
+  }
+
+  unbindNote(note) {
+    const base = note - this.octave * 12 - this.transpose;
+    Object.keys(this.keyboardMap).forEach((bound) => {
+      if (this.keyboardMap[bound] === base) delete this.keyboardMap[bound];
+    });
+    this.layout = "custom";
+    this.updateKeyWindow();
+    this.notifySettingsChange();
+  }
+
+  setOctave(octave) {
+    this.octave = Math.max(-MAX_OCTAVE_SHIFT, Math.min(MAX_OCTAVE_SHIFT, octave));
+    this.updateKeyWindow();
+    this.notifySettingsChange();
+  }
+
+  setTranspose(semitones) {
+    this.transpose = Math.max(-MAX_TRANSPOSE, Math.min(MAX_TRANSPOSE, semitones));
+    this.updateKeyWindow();
+    this.notifySettingsChange();
+  }
+
+  setVelocity(velocity) {
+    this.velocity = Math.max(1, Math.min(127, Math.round(velocity)));
+    this.notifySettingsChange();
+  }
+
+  setRange(range) {
+    if (!KEYBOARD_RANGES[range]) return;
+    this.range = Number(range);
+    this.rangeShift = 0;
+    this.applyRange();
+    this.notifySettingsChange();
+  }
+
+  // Draw the range's keys, moved by rangeShift but never past the piano's ends
+  applyRange() {
+    const { start, end } = KEYBOARD_RANGES[this.range];
+    let startNote = start + this.rangeShift;
+    let endNote = end + this.rangeShift;
+
+    if (startNote < LOWEST_NOTE) {
+      endNote += LOWEST_NOTE - startNote;
+      startNote = LOWEST_NOTE;
+    }
+    if (endNote > HIGHEST_NOTE) {
+      startNote -= endNote - HIGHEST_NOTE;
+      endNote = HIGHEST_NOTE;
+    }
+    this.rangeShift = startNote - start;
+
+    if (startNote === this.startNote && endNote === this.endNote) return;
+    this.startNote = startNote;
+    this.endNote = endNote;
+    this.renderKeys();
+  }
+
+  // Move the drawn range by whole octaves until it shows a note. Returns
+  // whether it moved.
+  shiftRangeTo(note) {
+    if (note < LOWEST_NOTE || note > HIGHEST_NOTE) return false;
+    if (note >= this.startNote && note <= this.endNote) return false;
+
+    const octaves = note < this.startNote
+      ? -Math.ceil((this.startNote - note) / 12)
+      : Math.ceil((note - this.endNote) / 12);
+    this.rangeShift += octaves * 12;
+    this.applyRange();
+    return true;
+  }
+
+  setZoom(zoom, anchorX = null) {
+    const previousWidth = this.whiteKeyWidth();
+    this.zoom = Math.max(MIN_ZOOM, Math.min(MAX_ZOOM, zoom));
+
+    // Keep the spot under the fingers (or the middle of the view) in place
+    const rect = this.container.getBoundingClientRect();
+    const x = anchorX === null ? rect.width / 2 : anchorX - rect.left;
+    const contentX = this.container.scrollLeft + x;
+    this.applyKeyWidth();
+    this.container.scrollLeft = (contentX * this.whiteKeyWidth()) / previousWidth - x;
+
+    this.notifySettingsChange();
+  }
+
+  setAutoFollow(enabled) {
+    this.autoFollow = enabled;
+    this.notifySettingsChange();
+  }
+
+  whiteKeyWidth() {
+    return this.baseKeyWidth() * this.zoom;
+  }
+
+  baseKeyWidth() {
+    const smallScreen = window.matchMedia("(max-width: 768px)").matches;
+    const fixedWidth = smallScreen ? SMALL_SCREEN_WHITE_KEY_PX : WHITE_KEY_PX;
+    if (this.range === 88 || this.container.clientWidth === 0) return fixedWidth;
+
+    let whiteKeys = 0;
+    for (let note = this.startNote; note <= this.endNote; note++) {
+      if (!this.isBlackKey(note)) whiteKeys++;
+    }
+
+    const style = getComputedStyle(this.container);
+    const padding = parseFloat(style.paddingLeft) + parseFloat(style.paddingRight);
+    const ends = [...this.container.querySelectorAll(".piano-end")]
+      .reduce((sum, end) => sum + end.offsetWidth, 0);
+    const available = this.container.clientWidth - padding - ends;
+
+    // Every white key has a 1px margin on each side
+    return Math.min(MAX_FIT_WHITE_KEY_PX, available / whiteKeys - 2);
+  }
+
+  applyKeyWidth() {
+    this.container.style.setProperty("--white-key-width", `${this.whiteKeyWidth()}px`);
+  }
+
+  // Center a key in view, moving a smaller range to it first if needed
+  scrollToNote(note, behavior = "smooth") {
+    this.shiftRangeTo(note);
+    const key = this.keys.get(note);
+    if (!key) return;
+
+    const containerRect = this.container.getBoundingClientRect();
+    const keyRect = key.getBoundingClientRect();
+    const scrollLeft = key.offsetLeft - (containerRect.width / 2) + (keyRect.width / 2);
+
+    this.container.scrollTo({ left: Math.max(0, scrollLeft), behavior });
+  }
+
+  // Auto-follow: bring a played note into view if it's off-screen
+  follow(note) {
+    if (!this.autoFollow) return;
+
+    const key = this.keys.get(note);
+    if (key) {
+      const containerRect = this.container.getBoundingClientRect();
+      const keyRect = key.getBoundingClientRect();
+      if (keyRect.left >= containerRect.left && keyRect.right <= containerRect.right) return;
+    }
+    this.scrollToNote(note);
+  }
+
+  setTouchCurve(curve) {
+    if (!TOUCH_CURVES[curve]) return;
+    this.touchCurve = curve;
+    this.notifySettingsChange();
+  }
+
+  setContactVelocity(enabled) {
+    this.contactVelocity = enabled;
+    this.notifySettingsChange();
+  }
+
+  get settings() {
+    return {
+      octave: this.octave,
+      transpose: this.transpose,
+      velocity: this.velocity,
+      touchCurve: this.touchCurve,
+      contactVelocity: this.contactVelocity,
+      layout: this.layout,
+      keyMap: { ...this.keyboardMap },
+      rebinding: this.rebinding,
+      rebindNote: this.rebindNote,
+      range: this.range,
+      zoom: this.zoom,
+      autoFollow: this.autoFollow,
+    };
+  }
+
+  notifySettingsChange() {
+    if (this.onSettingsChange) {
+      this.onSettingsChange(this.settings);
+    }
+  }
+
+  // Mark the keys the computer keyboard reaches, with the key that plays each
+  updateKeyWindow() {
+    this.keys.forEach((key) => {
+      key.classList.remove("in-window");
+      const hint = key.querySelector(".key-hint");
+      if (hint) hint.remove();
+    });
+
+    Object.keys(this.keyboardMap).forEach((code) => {
+      const key = this.keys.get(this.noteForKey(code));
+      if (!key) return;
+
+      // Some layouts have two keys for a note (Tracker's C4)
+      const label = keyCodeLabel(code, this.layoutMap);
+      const existing = key.querySelector(".key-hint");
+      if (existing) {
+        existing.textContent += ` ${label}`;
+        return;
+      }
+
+      const hint = document.createElement("span");
+      hint.className = "key-hint";
+      hint.textContent = label;
+      key.classList.add("in-window");
+      key.appendChild(hint);
+    });
+  }
+
+  // Lowest and highest note the computer keyboard reaches
+  keyWindow() {
+    const notes = Object.keys(this.keyboardMap)
+      .map((code) => this.noteForKey(code))
+      .filter((note) => note !== null);
+    return notes.length > 0 ? { low: Math.min(...notes), high: Math.max(...notes) } : null;
+  }
+
   isBlackKey(noteNumber) {
     const noteInOctave = noteNumber % 12;
     return [1, 3, 6, 8, 10].includes(noteInOctave);
   }
 
-  highlightKey(noteNumber) {
-    const key = this.keys.get(noteNumber);
-    if (key) {
-      key.classList.add("active");
+  // Highlight a key on behalf of a source ("local" or a peer id). The key
+  // stays lit until every source holding it has released it.
+  highlightKey(noteNumber, source = "local") {
+    if (!this.keyHolders.has(noteNumber)) {
+      this.keyHolders.set(noteNumber, new Set());
+    }
+    this.keyHolders.get(noteNumber).add(source);
+    if (this.onHighlightChange) this.onHighlightChange(noteNumber, source, true);
+
+    this.updateKeyColor(noteNumber);
+    this.follow(noteNumber);
+  }
+
+  unhighlightKey(noteNumber, source = "local") {
+    if (this.onHighlightChange) this.onHighlightChange(noteNumber, source, false);
+
+    const holders = this.keyHolders.get(noteNumber);
+    if (holders) {
+      holders.delete(source);
+      if (holders.size === 0) this.keyHolders.delete(noteNumber);
     }
+    this.updateKeyColor(noteNumber);
   }
 
-  unhighlightKey(noteNumber) {
+  // Light a key in the colors of the players holding it, side by side stripes
+  // when there are several
+  updateKeyColor(noteNumber) {
     const key = this.keys.get(noteNumber);
-    if (key) {
-      key.classList.remove("active");
+    if (!key) return;
+
+    const holders = this.keyHolders.get(noteNumber);
+    key.classList.toggle("active", Boolean(holders));
+    if (!holders || !this.colorFor) {
+      key.style.removeProperty("--key-fill");
+      return;
     }
+
+    const colors = [...new Set([...holders].map((source) => this.colorFor(source)))];
+    const stripe = 100 / colors.length;
+    const fill = colors.length === 1
+      ? colors[0]
+      : `linear-gradient(90deg, ${colors
+          .map((color, i) => `${color} ${i * stripe}% ${(i + 1) * stripe}%`)
+          .join(", ")})`;
+    key.style.setProperty("--key-fill", fill);
+  }
+
+  // Players' colors changed, e.g. someone joined
+  refreshKeyColors() {
+    this.keys.forEach((_key, noteNumber) => this.updateKeyColor(noteNumber));
+  }
+
+  // Release every key a source was holding, e.g. when a peer disconnects
+  unhighlightSource(source) {
+    [...this.keyHolders.keys()].forEach((noteNumber) => {
+      if (this.keyHolders.get(noteNumber).has(source)) {
+        this.unhighlightKey(noteNumber, source);
+      }
+    });
   }
 
   unhighlightAll() {
+    if (this.onHighlightChange) {
+      this.keyHolders.forEach((holders, noteNumber) => {
+        holders.forEach((source) => this.onHighlightChange(noteNumber, source, false));
+      });
+    }
     this.keys.forEach((key) => {
       key.classList.remove("active");
+      key.style.removeProperty("--key-fill");
     });
+    this.keyHolders.clear();
     this.pressedKeys.clear();
   }
 
   destroy() {
-    document.removeEventListener("keydown", this.handleComputerKeyDown);
-    document.removeEventListener("keyup", this.handleComputerKeyUp);
+    document.removeEventListener("keydown", this.onComputerKeyDown);
+    document.removeEventListener("keyup", this.onComputerKeyUp);
+    window.removeEventListener("blur", this.onWindowBlur);
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect();
+    }
   }
 }
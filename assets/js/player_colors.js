@@ -0,0 +1,62 @@
+// A color per player for key highlights, note bars and the legend. Colors come
+// from a palette that stays readable on white and black keys. They're worked
+// out from the room's presence alone, so every browser shows the same ones.
+
+export const PLAYER_COLORS = [
+  "#3b82f6", // blue
+  "#f97316", // orange
+  "#22c55e", // green
+  "#ec4899", // pink
+  "#a855f7", // purple
+  "#eab308", // yellow
+  "#14b8a6", // teal
+  "#ef4444", // red
+  "#84cc16", // lime
+  "#6366f1", // indigo
+];
+
+function hash(id) {
+  let value = 0;
+  for (let i = 0; i < id.length; i++) {
+    value = (value * 31 + id.charCodeAt(i)) | 0;
+  }
+  return Math.abs(value);
+}
+
+// Same order everywhere, unlike localeCompare
+function compareIds(a, b) {
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+export class PlayerColors {
+  constructor() {
+    this.slots = new Map(); // peerId -> index into PLAYER_COLORS
+  }
+
+  // peers: [{ id, joinedAt }] in the room. Everyone is placed in join order,
+  // each on its id's palette slot or the next free one. Only the roster counts,
+  // not what this browser saw before. A player's color only changes when
+  // someone who joined earlier leaves and frees a slot they had been pushed past.
+  update(peers) {
+    this.slots.clear();
+
+    const taken = new Set();
+    [...peers]
+      .sort((a, b) => (a.joinedAt || 0) - (b.joinedAt || 0) || compareIds(a.id, b.id))
+      .forEach(({ id }) => {
+        let slot = hash(id) % PLAYER_COLORS.length;
+        // A full room has to share colors
+        for (let i = 0; i < PLAYER_COLORS.length && taken.has(slot); i++) {
+          slot = (slot + 1) % PLAYER_COLORS.length;
+        }
+        this.slots.set(id, slot);
+        taken.add(slot);
+      });
+  }
+
+  colorOf(id) {
+    const slot = this.slots.has(id) ? this.slots.get(id) : hash(id) % PLAYER_COLORS.length;
+    return PLAYER_COLORS[slot];
+  }
+}
@@ -0,0 +1,87 @@
+// Estimates the offset between this browser's clock and the server's, which
+// room-wide schedules (like the metronome's first downbeat) are expressed in
+
+// How often to re-measure, and how many pings per measurement
+const SYNC_INTERVAL_MS = 10000;
+const PINGS_PER_SYNC = 4;
+const PING_SPACING_MS = 100;
+
+// Keep this many samples and trust the one with the fastest round trip
+const MAX_SAMPLES = 16;
+
+// Offset changes smaller than this aren't worth re-aligning anything for
+const OFFSET_CHANGE_THRESHOLD_MS = 10;
+
+// Wall clock with sub-millisecond resolution
+function clockNow() {
+  return performance.timeOrigin + performance.now();
+}
+
+export class ServerClock {
+  constructor(channel, onOffsetChange = null) {
+    this.channel = channel;
+    this.onOffsetChange = onOffsetChange;
+    this.offset = null; // server time - our time, in ms
+    this.samples = []; // { rtt, offset }
+    this.syncTimer = null;
+    this.pingTimers = new Set();
+  }
+
+  start() {
+    this.sync();
+    this.syncTimer = setInterval(() => this.sync(), SYNC_INTERVAL_MS);
+  }
+
+  // A few pings spaced out a little, so one slow round trip doesn't decide the offset
+  sync() {
+    for (let i = 0; i < PINGS_PER_SYNC; i++) {
+      const timer = setTimeout(() => {
+        this.pingTimers.delete(timer);
+        this.ping();
+      }, i * PING_SPACING_MS);
+      this.pingTimers.add(timer);
+    }
+  }
+
+  ping() {
+    this.channel.push("clock_ping", { t0: clockNow() })
+      .receive("ok", ({ t0, server_time }) => {
+        const t1 = clockNow();
+        // NTP-style: the server read its clock halfway through the round trip
+        this.recordSample(t1 - t0, server_time - (t0 + t1) / 2);
+      });
+  }
+
+  recordSample(rtt, offset) {
+    this.samples.push({ rtt, offset });
+    if (this.samples.length > MAX_SAMPLES) {
+      this.samples.shift();
+    }
+
+    const best = this.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    const previous = this.offset;
+    this.offset = best.offset;
+
+    if (previous === null || Math.abs(this.offset - previous) > OFFSET_CHANGE_THRESHOLD_MS) {
+      if (this.onOffsetChange) {
+        this.onOffsetChange(this.offset);
+      }
+    }
+  }
+
+  get synced() {
+    return this.offset !== null;
+  }
+
+  // Current server time in ms (our own clock until the first sample arrives)
+  now() {
+    return clockNow() + (this.offset || 0);
+  }
+
+  destroy() {
+    clearInterval(this.syncTimer);
+    this.pingTimers.forEach((timer) => clearTimeout(timer));
+    this.pingTimers.clear();
+    this.onOffsetChange = null;
+  }
+}
@@ -5,14 +5,73 @@ const DEFAULT_ICE_SERVERS = [
   { urls: ["stun:stun.l.google.com:19302", "stun:stun1.l.google.com:19302"] }
 ];
 
+// MIDI wire format over the data channel:
+//   legacy:      [type, note, velocity]                     - 3 bytes
+//   timestamped: [type, note, velocity, sentAt (uint32 BE)] - 7 bytes
+// type: 0=off, 1=on, 2=sustain, 3=pitchbend (note=LSB, velocity=MSB),
+// 4=cc (note=controller, velocity=value; CC1, CC7 and CC11). sentAt is the
+// sender's performance.now() in ms, truncated to 32 bits; receivers only
+// compare it against other messages from the same sender.
+const LEGACY_MESSAGE_LENGTH = 3;
+const TIMESTAMPED_MESSAGE_LENGTH = 7;
+const MIDI_TYPES = ["off", "on", "sustain", "pitchbend", "cc"];
+
+// Clock sync messages go as binary over the control channel (NTP-style
+// exchange), clients without one never see them. Ones arriving on the MIDI
+// channel are still answered:
+//   ping: [0x10, seq, t0 (float64)]                   - 10 bytes
+//   pong: [0x11, seq, t0 (float64), t1 (float64)]     - 18 bytes
+// t0 is the pinger's clock when sending, t1 the ponger's clock when replying.
+const PING = 0x10;
+const PONG = 0x11;
+const PING_LENGTH = 10;
+const PONG_LENGTH = 18;
+const PING_INTERVAL_MS = 2000;
+const CLOCK_SAMPLES = 8; // Recent exchanges kept per peer
+const ROUTE_CHECK_EVERY = 5; // Refresh the ICE route every N pings
+
+// State messages (pedals, all-notes-off, held-note snapshots) go as JSON over a
+// second, reliable and ordered "control" channel so they can't get lost:
+//   { type: "sustain" | "sostenuto" | "soft", down, sentAt }
+//   { type: "all_notes_off" | "all_sound_off", sentAt }
+//   { type: "snapshot", notes: [...], sustain, sostenuto, soft, pitchbend (0-16383),
+//     cc: { 1, 7, 11 }, sentAt }
+// sentAt uses the same clock as MIDI messages so both can be ordered on playout.
+const MIDI_CHANNEL = "midi";
+const CONTROL_CHANNEL = "control";
+
+// Sender timestamp carried by MIDI and control messages
+function sentAtNow() {
+  return Math.floor(performance.now()) >>> 0;
+}
+
+// Wall clock with sub-millisecond precision, comparable across machines
+function clockNow() {
+  return performance.timeOrigin + performance.now();
+}
+
 export class WebRTCManager {
-  constructor(channel, onMidiReceived, iceServers = null) {
+  constructor(
+    channel,
+    onMidiReceived,
+    iceServers = null,
+    onPeerStats = null,
+    onControlReceived = null,
+    onPeerDisconnected = null
+  ) {
     this.channel = channel;
     this.onMidiReceived = onMidiReceived;
+    this.onPeerStats = onPeerStats;
+    this.onControlReceived = onControlReceived;
+    this.onPeerDisconnected = onPeerDisconnected;
     this.peers = new Map();        // peerId -> RTCPeerConnection
     this.dataChannels = new Map(); // peerId -> RTCDataChannel
+    this.controlChannels = new Map(); // peerId -> reliable RTCDataChannel for state messages
     this.localId = null;
     this.pendingCandidates = new Map(); // peerId -> ICE candidates waiting for remote description
+    this.peerStats = new Map(); // peerId -> { rtt, offset, route, samples }
+    this.pingSeq = 0;
+    this.pingTimer = null;
 
     // Use provided ICE servers or fall back to defaults
     // For Safari/iOS on mobile networks, TURN servers are required
@@ -47,12 +106,17 @@ export class WebRTCManager {
 
     // Listen for peers leaving
     this.channel.on("presence_diff", (diff) => {
-      const leaves = Object.keys(diff.leaves || {});
+      // A meta update (e.g. instrument change) shows up as a leave plus a join
+      const joins = diff.joins || {};
+      const leaves = Object.keys(diff.leaves || {}).filter(peerId => !joins[peerId]);
       leaves.forEach(peerId => {
         console.log("Peer left:", peerId);
         this.closePeerConnection(peerId);
       });
     });
+
+    // Measure round-trip time and clock offset to every peer
+    this.pingTimer = setInterval(() => this.pingPeers(), PING_INTERVAL_MS);
   }
 
   // Connect to existing peers when we join
@@ -82,12 +146,16 @@ export class WebRTCManager {
 
     // Create data channel for MIDI (only the initiator creates the channel)
     // Use unordered + unreliable for lowest latency - late notes sound worse than dropped notes
-    const dataChannel = pc.createDataChannel("midi", {
+    const dataChannel = pc.createDataChannel(MIDI_CHANNEL, {
       ordered: false,
       maxRetransmits: 0
     });
     this.setupDataChannel(peerId, dataChannel);
 
+    // Reliable + ordered channel for state that must never be lost (e.g. "sustain up")
+    const controlChannel = pc.createDataChannel(CONTROL_CHANNEL, { ordered: true });
+    this.setupControlChannel(peerId, controlChannel);
+
     // Create and send offer
     try {
       const offer = await pc.createOffer();
@@ -134,8 +202,12 @@ export class WebRTCManager {
 
     // Handle incoming data channels (for the answering peer)
     pc.ondatachannel = (event) => {
-      console.log("Received data channel from:", peerId);
-      this.setupDataChannel(peerId, event.channel);
+      console.log("Received data channel from:", peerId, event.channel.label);
+      if (event.channel.label === CONTROL_CHANNEL) {
+        this.setupControlChannel(peerId, event.channel);
+      } else {
+        this.setupDataChannel(peerId, event.channel);
+      }
     };
 
     return pc;
@@ -153,7 +225,15 @@ export class WebRTCManager {
 
     channel.onclose = () => {
       console.log("Data channel CLOSED with:", peerId);
+      // A newer channel may already have replaced this one, the peer's notes
+      // are still live on it
+      if (this.dataChannels.get(peerId) !== channel) return;
       this.dataChannels.delete(peerId);
+
+      // Whatever the peer was holding will never get its note-off now
+      if (this.onPeerDisconnected) {
+        this.onPeerDisconnected(peerId);
+      }
     };
 
     channel.onerror = (error) => {
@@ -161,42 +241,72 @@ export class WebRTCManager {
     };
 
     channel.onmessage = (event) => {
-      try {
-        // Binary format: [type, note, velocity] - 3 bytes
-        if (!(event.data instanceof ArrayBuffer) || event.data.byteLength !== 3) {
-          console.warn("Invalid MIDI message format:", event.data);
-          return;
-        }
+      this.handleMidiData(peerId, channel, event.data);
+    };
 
-        const data = new Uint8Array(event.data);
-        const type = data[0]; // 0=off, 1=on, 2=sustain
-        const note = data[1];
-        const velocity = data[2];
-
-        let typeStr;
-        if (type === 0) {
-          typeStr = "off";
-        } else if (type === 1) {
-          typeStr = "on";
-        } else if (type === 2) {
-          typeStr = "sustain";
-        } else {
-          console.warn("Unknown MIDI type:", type);
-          return;
-        }
+    // If already open, add to map
+    if (channel.readyState === "open") {
+      console.log("Data channel already open, adding to map:", peerId);
+      this.dataChannels.set(peerId, channel);
+    }
+  }
+
+  setupControlChannel(peerId, channel) {
+    console.log(`Setting up control channel for ${peerId}, current state: ${channel.readyState}`);
+
+    channel.binaryType = "arraybuffer";
+
+    channel.onopen = () => {
+      console.log("Control channel OPEN with:", peerId);
+      this.controlChannels.set(peerId, channel);
+    };
+
+    channel.onclose = () => {
+      console.log("Control channel CLOSED with:", peerId);
+      // A newer channel may already have replaced this one
+      if (this.controlChannels.get(peerId) === channel) {
+        this.controlChannels.delete(peerId);
+      }
+    };
+
+    channel.onerror = (error) => {
+      console.error("Control channel ERROR with:", peerId, error);
+    };
+
+    channel.onmessage = (event) => {
+      // Binary messages are regular MIDI that happened to take this channel
+      if (typeof event.data !== "string") {
+        this.handleMidiData(peerId, channel, event.data);
+        return;
+      }
 
-        if (this.onMidiReceived) {
-          this.onMidiReceived(typeStr, note, velocity);
+      try {
+        const message = JSON.parse(event.data);
+        if (this.onControlReceived) {
+          this.onControlReceived(peerId, message);
         }
       } catch (err) {
-        console.error("Error parsing MIDI message:", err);
+        console.error("Error parsing control message:", err);
       }
     };
 
-    // If already open, add to map
     if (channel.readyState === "open") {
-      console.log("Data channel already open, adding to map:", peerId);
-      this.dataChannels.set(peerId, channel);
+      this.controlChannels.set(peerId, channel);
+    }
+  }
+
+  handleMidiData(peerId, channel, data) {
+    try {
+      if (this.handleClockMessage(peerId, channel, data)) return;
+
+      const message = this.decodeMidi(data);
+      if (!message) return;
+
+      if (this.onMidiReceived) {
+        this.onMidiReceived(message.type, message.note, message.velocity, peerId, message.sentAt);
+      }
+    } catch (err) {
+      console.error("Error parsing MIDI message:", err);
     }
   }
 
@@ -315,15 +425,46 @@ export class WebRTCManager {
     this.channel.push("signal", { to: toPeerId, data: data });
   }
 
+  // Decode a data channel message into { type, note, velocity, sentAt }.
+  // sentAt is null for legacy 3-byte messages from older clients.
+  decodeMidi(data) {
+    if (
+      !(data instanceof ArrayBuffer) ||
+      (data.byteLength !== LEGACY_MESSAGE_LENGTH && data.byteLength !== TIMESTAMPED_MESSAGE_LENGTH)
+    ) {
+      console.warn("Invalid MIDI message format:", data);
+      return null;
+    }
+
+    const view = new DataView(data);
+    const type = MIDI_TYPES[view.getUint8(0)];
+    if (!type) {
+      console.warn("Unknown MIDI type:", view.getUint8(0));
+      return null;
+    }
+
+    return {
+      type,
+      note: view.getUint8(1),
+      velocity: view.getUint8(2),
+      sentAt: data.byteLength === TIMESTAMPED_MESSAGE_LENGTH ? view.getUint32(3) : null,
+    };
+  }
+
+  encodeMidi(type, note, velocity) {
+    // Binary format: [type, note, velocity, sentAt] - 7 bytes
+    const typeNum = MIDI_TYPES.indexOf(type);
+    const buffer = new ArrayBuffer(TIMESTAMPED_MESSAGE_LENGTH);
+    const view = new DataView(buffer);
+    view.setUint8(0, typeNum);
+    view.setUint8(1, note);
+    view.setUint8(2, velocity);
+    view.setUint32(3, sentAtNow());
+    return buffer;
+  }
+
   broadcastMidi(type, note, velocity) {
-    // Binary format: [type, note, velocity] - 3 bytes
-    // type: 0=off, 1=on, 2=sustain
-    const typeNum = type === "off" ? 0 : type === "on" ? 1 : 2;
-    const buffer = new ArrayBuffer(3);
-    const view = new Uint8Array(buffer);
-    view[0] = typeNum;
-    view[1] = note;
-    view[2] = velocity;
+    const buffer = this.encodeMidi(type, note, velocity);
 
     this.dataChannels.forEach((channel, peerId) => {
       if (channel.readyState === "open") {
@@ -332,14 +473,151 @@ export class WebRTCManager {
     });
   }
 
+  // Send a state message to every peer over the reliable control channel
+  broadcastControl(message) {
+    const payload = JSON.stringify({ ...message, sentAt: sentAtNow() });
+
+    this.dataChannels.forEach((channel, peerId) => {
+      const control = this.controlChannels.get(peerId);
+      if (control && control.readyState === "open") {
+        control.send(payload);
+      } else if (message.type === "sustain" && channel.readyState === "open") {
+        // Older clients only have the MIDI channel
+        channel.send(this.encodeMidi("sustain", message.down ? 1 : 0, 0));
+      }
+    });
+  }
+
+  pingPeers() {
+    this.pingSeq = (this.pingSeq + 1) & 0xff;
+    const buffer = new ArrayBuffer(PING_LENGTH);
+    const view = new DataView(buffer);
+    view.setUint8(0, PING);
+    view.setUint8(1, this.pingSeq);
+    view.setFloat64(2, clockNow());
+
+    this.controlChannels.forEach((channel) => {
+      if (channel.readyState === "open") {
+        channel.send(buffer);
+      }
+    });
+
+    if (this.pingSeq % ROUTE_CHECK_EVERY === 1) {
+      this.dataChannels.forEach((_channel, peerId) => this.updateRoute(peerId));
+    }
+  }
+
+  // Answer pings and evaluate pongs. Returns true if the message was a clock message.
+  handleClockMessage(peerId, channel, data) {
+    if (!(data instanceof ArrayBuffer)) return false;
+
+    const view = new DataView(data);
+    const type = data.byteLength > 0 ? view.getUint8(0) : null;
+
+    if (type === PING && data.byteLength === PING_LENGTH) {
+      if (channel.readyState !== "open") return true;
+
+      const reply = new ArrayBuffer(PONG_LENGTH);
+      const replyView = new DataView(reply);
+      replyView.setUint8(0, PONG);
+      replyView.setUint8(1, view.getUint8(1));
+      replyView.setFloat64(2, view.getFloat64(2));
+      replyView.setFloat64(10, clockNow());
+      channel.send(reply);
+      return true;
+    }
+
+    if (type === PONG && data.byteLength === PONG_LENGTH) {
+      const t0 = view.getFloat64(2);
+      const t1 = view.getFloat64(10);
+      const t2 = clockNow();
+      this.recordClockSample(peerId, t2 - t0, t1 - (t0 + t2) / 2);
+      return true;
+    }
+
+    return false;
+  }
+
+  recordClockSample(peerId, rtt, offset) {
+    if (!this.peerStats.has(peerId)) {
+      this.peerStats.set(peerId, { rtt: null, offset: null, route: null, samples: [] });
+    }
+    const stats = this.peerStats.get(peerId);
+
+    stats.samples.push({ rtt, offset });
+    if (stats.samples.length > CLOCK_SAMPLES) {
+      stats.samples.shift();
+    }
+
+    // Like NTP, trust the offset from the fastest exchange: its measurement
+    // is the least skewed by asymmetric queuing delay
+    const best = stats.samples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    const sorted = stats.samples.map((sample) => sample.rtt).sort((a, b) => a - b);
+    stats.rtt = sorted[Math.floor(sorted.length / 2)];
+    stats.offset = best.offset;
+
+    this.notifyPeerStats();
+  }
+
+  // Find out whether the selected ICE candidate pair goes through a TURN relay
+  async updateRoute(peerId) {
+    const pc = this.peers.get(peerId);
+    if (!pc) return;
+
+    try {
+      const report = await pc.getStats();
+      let pair = null;
+      report.forEach((entry) => {
+        if (entry.type === "transport" && entry.selectedCandidatePairId) {
+          pair = report.get(entry.selectedCandidatePairId);
+        }
+      });
+      // Firefox has no transport stats, fall back to the selected pair flag
+      if (!pair) {
+        report.forEach((entry) => {
+          if (entry.type === "candidate-pair" && (entry.selected || entry.nominated) && entry.state === "succeeded") {
+            pair = entry;
+          }
+        });
+      }
+      if (!pair) return;
+
+      const local = report.get(pair.localCandidateId);
+      const remote = report.get(pair.remoteCandidateId);
+      const relayed = [local, remote].some((candidate) => candidate && candidate.candidateType === "relay");
+
+      const stats = this.peerStats.get(peerId);
+      if (stats) {
+        stats.route = relayed ? "relay" : "direct";
+        this.notifyPeerStats();
+      }
+    } catch (err) {
+      console.warn("Could not read connection stats for:", peerId, err);
+    }
+  }
+
+  notifyPeerStats() {
+    if (this.onPeerStats) {
+      this.onPeerStats(this.peerStats);
+    }
+  }
+
   closePeerConnection(peerId) {
     const pc = this.peers.get(peerId);
+    const known = !!pc || this.dataChannels.has(peerId);
     if (pc) {
       pc.close();
       this.peers.delete(peerId);
     }
     this.dataChannels.delete(peerId);
+    this.controlChannels.delete(peerId);
     this.pendingCandidates.delete(peerId);
+    if (this.peerStats.delete(peerId)) {
+      this.notifyPeerStats();
+    }
+    if (known && this.onPeerDisconnected) {
+      this.onPeerDisconnected(peerId);
+    }
   }
 
   getConnectedPeerCount() {
@@ -347,11 +625,17 @@ export class WebRTCManager {
   }
 
   destroy() {
+    // Closing below fires channel events we no longer want to act on
+    this.onPeerDisconnected = null;
+    clearInterval(this.pingTimer);
+    this.pingTimer = null;
     this.peers.forEach((pc, peerId) => {
       pc.close();
     });
     this.peers.clear();
     this.dataChannels.clear();
+    this.controlChannels.clear();
     this.pendingCandidates.clear();
+    this.peerStats.clear();
   }
 }
@@ -48,6 +48,10 @@ else
   ]
 end
 
+# Where browsers load instrument samples from. Defaults to the samples served by
+# this app (see `mix live_piano.fetch_samples`); point it at a CDN if you prefer.
+config :live_piano, :samples_base_url, env!("SAMPLES_BASE_URL", :string, "/samples")
+
 if config_env() == :prod do
   database_url =
     System.get_env("DATABASE_URL") ||
@@ -9,10 +9,35 @@ defmodule LivePiano.RoomServer do
   @slug_length 6
   @slug_chars ~c"abcdefghjkmnpqrstuvwxyz23456789"
 
-  defstruct [:slug, :created_at, :instrument]
+  defstruct [:slug, :created_at, :instrument, :effects, :metronome]
 
   @valid_instruments ~w(piano organ strings saxophone)
 
+  # Room-wide effects bus, applied by every browser in the room
+  @default_effects %{
+    reverb: %{enabled: true, decay: 2.5, wet: 0.2},
+    delay: %{enabled: false, time: 0.25, feedback: 0.3, wet: 0.2},
+    eq: %{enabled: false, low: 0.0, mid: 0.0, high: 0.0},
+    compressor: %{enabled: true, threshold: -18.0, ratio: 3.0}
+  }
+
+  # Shared metronome. `started_at` is the server time (ms) of the first downbeat
+  # while running, every browser lines its clicks up with it.
+  @default_metronome %{running: false, bpm: 100, beats_per_bar: 4, beat_unit: 4, started_at: nil}
+
+  # Start the metronome this far in the future so every browser hears about it in time
+  @metronome_lead_ms 500
+
+  @beat_units [2, 4, 8, 16]
+
+  # Allowed range of every numeric effect setting
+  @effect_ranges %{
+    reverb: %{decay: {0.1, 10.0}, wet: {0.0, 1.0}},
+    delay: %{time: {0.01, 1.0}, feedback: {0.0, 0.9}, wet: {0.0, 1.0}},
+    eq: %{low: {-24.0, 12.0}, mid: {-24.0, 12.0}, high: {-24.0, 12.0}},
+    compressor: %{threshold: {-60.0, 0.0}, ratio: {1.0, 20.0}}
+  }
+
   # Client API
 
   def start_link(_opts) do
@@ -28,7 +53,9 @@ defmodule LivePiano.RoomServer do
     room = %__MODULE__{
       slug: slug,
       created_at: DateTime.utc_now(),
-      instrument: "piano"
+      instrument: "piano",
+      effects: @default_effects,
+      metronome: @default_metronome
     }
 
     :ets.insert(@table_name, {slug, room})
@@ -46,21 +73,40 @@ defmodule LivePiano.RoomServer do
   end
 
   @doc """
-  Sets the instrument for a room
+  Returns true if the given instrument id is one players can pick.
+
+  Each player chooses their own instrument; the room's `instrument` is only
+  the default for players who haven't picked one yet.
   """
-  def set_instrument(slug, instrument) when instrument in @valid_instruments do
-    case :ets.lookup(@table_name, slug) do
-      [{^slug, room}] ->
-        updated_room = %{room | instrument: instrument}
-        :ets.insert(@table_name, {slug, updated_room})
-        {:ok, updated_room}
+  def valid_instrument?(instrument), do: instrument in @valid_instruments
 
-      [] ->
-        {:error, :not_found}
-    end
+  @doc """
+  Updates a room's effect settings.
+
+  Takes the (possibly partial) settings sent by a client, e.g.
+  `%{"reverb" => %{"wet" => 0.4}}`. Unknown effects and settings are ignored
+  and numbers are clamped to the setting's range.
+  """
+  def update_effects(slug, changes) when is_map(changes) do
+    update_room(slug, fn room -> %{room | effects: merge_effects(room.effects, changes)} end)
   end
 
-  def set_instrument(_slug, _instrument), do: {:error, :invalid_instrument}
+  def update_effects(_slug, _changes), do: {:error, :invalid_effects}
+
+  @doc """
+  Updates a room's metronome from the (possibly partial) settings sent by a
+  client: `"running"`, `"bpm"`, `"beats_per_bar"` and `"beat_unit"`.
+
+  Starting the metronome, or changing it while it runs, schedules a new first
+  downbeat slightly in the future so all players start counting together.
+  """
+  def update_metronome(slug, changes) when is_map(changes) do
+    update_room(slug, fn room ->
+      %{room | metronome: merge_metronome(room.metronome, changes)}
+    end)
+  end
+
+  def update_metronome(_slug, _changes), do: {:error, :invalid_metronome}
 
   @doc """
   Deletes a room
@@ -86,8 +132,87 @@ defmodule LivePiano.RoomServer do
     {:ok, %{table: table}}
   end
 
+  @impl true
+  def handle_call({:update_room, slug, fun}, _from, state) do
+    reply =
+      case :ets.lookup(@table_name, slug) do
+        [{^slug, room}] ->
+          updated_room = fun.(room)
+          :ets.insert(@table_name, {slug, updated_room})
+          {:ok, updated_room}
+
+        [] ->
+          {:error, :not_found}
+      end
+
+    {:reply, reply, state}
+  end
+
   # Private helpers
 
+  # Read-modify-write of a room runs in the server process, so two players
+  # changing settings at the same time can't overwrite each other's change
+  defp update_room(slug, fun) do
+    GenServer.call(__MODULE__, {:update_room, slug, fun})
+  end
+
+  defp merge_effects(effects, changes) do
+    Map.new(effects, fn {effect, settings} ->
+      case Map.get(changes, Atom.to_string(effect)) do
+        %{} = effect_changes ->
+          {effect, merge_effect_settings(effect, settings, effect_changes)}
+
+        _ -> {effect, settings}
+      end
+    end)
+  end
+
+  defp merge_effect_settings(effect, settings, changes) do
+    Map.new(settings, fn {setting, current} ->
+      value = Map.get(changes, Atom.to_string(setting))
+      {setting, cast_effect_setting(effect, setting, value, current)}
+    end)
+  end
+
+  defp cast_effect_setting(_effect, :enabled, enabled, _current) when is_boolean(enabled),
+    do: enabled
+
+  defp cast_effect_setting(effect, setting, value, current) when is_number(value) do
+    case @effect_ranges[effect][setting] do
+      {low, high} -> min(max(value, low), high) * 1.0
+      nil -> current
+    end
+  end
+
+  defp cast_effect_setting(_effect, _setting, _value, current), do: current
+
+  defp merge_metronome(metronome, changes) do
+    updated = %{
+      metronome
+      | running: cast_boolean(changes["running"], metronome.running),
+        bpm: cast_integer(changes["bpm"], 20..300, metronome.bpm),
+        beats_per_bar: cast_integer(changes["beats_per_bar"], 1..16, metronome.beats_per_bar),
+        beat_unit: cast_beat_unit(changes["beat_unit"], metronome.beat_unit)
+    }
+
+    cond do
+      not updated.running -> %{updated | started_at: nil}
+      updated == metronome -> metronome
+      true -> %{updated | started_at: System.system_time(:millisecond) + @metronome_lead_ms}
+    end
+  end
+
+  defp cast_boolean(value, _current) when is_boolean(value), do: value
+  defp cast_boolean(_value, current), do: current
+
+  defp cast_integer(value, low..high//_, _current) when is_integer(value),
+    do: min(max(value, low), high)
+
+  defp cast_integer(_value, _range, current), do: current
+
+  defp cast_beat_unit(value, _current) when value in @beat_units, do: value
+  defp cast_beat_unit(_value, current), do: current
+
   defp generate_slug do
     slug =
       1..@slug_length
@@ -17,7 +17,7 @@ defmodule LivePianoWeb do
   those modules here.
   """
 
-  def static_paths, do: ~w(assets fonts images favicon.ico robots.txt)
+  def static_paths, do: ~w(assets fonts images samples favicon.ico robots.txt)
 
   def router do
     quote do
@@ -9,12 +9,29 @@ defmodule LivePianoWeb.RoomChannel do
   alias LivePiano.RoomServer
 
   @impl true
-  def join("room:" <> slug, _params, socket) do
+  def join("room:" <> slug, params, socket) do
     case RoomServer.get_room(slug) do
       {:ok, room} ->
-        socket = assign(socket, :slug, slug)
+        # Players may bring their previously chosen instrument, otherwise use the room default
+        instrument =
+          if RoomServer.valid_instrument?(params["instrument"]),
+            do: params["instrument"],
+            else: room.instrument
+
+        socket =
+          socket
+          |> assign(:slug, slug)
+          |> assign(:instrument, instrument)
+
         send(self(), :after_join)
-        {:ok, %{peer_id: socket.id, instrument: room.instrument}, socket}
+        reply = %{
+          peer_id: socket.id,
+          instrument: instrument,
+          effects: room.effects,
+          metronome: room.metronome
+        }
+
+        {:ok, reply, socket}
 
       {:error, :not_found} ->
         {:error, %{reason: "room_not_found"}}
@@ -25,7 +42,8 @@ defmodule LivePianoWeb.RoomChannel do
   def handle_info(:after_join, socket) do
     {:ok, _} =
       LivePianoWeb.Presence.track(socket, socket.id, %{
-        joined_at: System.system_time(:second)
+        joined_at: System.system_time(:second),
+        instrument: socket.assigns.instrument
       })
 
     # Send current peers list to new joiner
@@ -51,14 +69,49 @@ defmodule LivePianoWeb.RoomChannel do
 
   @impl true
   def handle_in("instrument_change", %{"instrument" => instrument}, socket) do
-    case RoomServer.set_instrument(socket.assigns.slug, instrument) do
-      {:ok, _room} ->
-        # Broadcast to all users in the room (including sender)
-        broadcast!(socket, "instrument_state", %{instrument: instrument})
+    if RoomServer.valid_instrument?(instrument) do
+      # Each player's instrument lives in their presence meta, so everyone
+      # (including players joining later) learns it through presence sync
+      {:ok, _} =
+        LivePianoWeb.Presence.update(socket, socket.id, fn meta ->
+          Map.put(meta, :instrument, instrument)
+        end)
+
+      {:reply, {:ok, %{instrument: instrument}}, assign(socket, :instrument, instrument)}
+    else
+      {:reply, {:error, %{reason: "invalid_instrument"}}, socket}
+    end
+  end
+
+  @impl true
+  def handle_in("effects_change", %{"effects" => changes}, socket) do
+    case RoomServer.update_effects(socket.assigns.slug, changes) do
+      {:ok, room} ->
+        # Broadcast to all users in the room (including sender) so everyone hears the same space
+        broadcast!(socket, "effects_state", %{effects: room.effects})
+        {:noreply, socket}
+
+      {:error, _reason} ->
+        {:reply, {:error, %{reason: "invalid_effects"}}, socket}
+    end
+  end
+
+  @impl true
+  def handle_in("metronome_change", %{"metronome" => changes}, socket) do
+    case RoomServer.update_metronome(socket.assigns.slug, changes) do
+      {:ok, room} ->
+        broadcast!(socket, "metronome_state", %{metronome: room.metronome})
         {:noreply, socket}
 
       {:error, _reason} ->
-        {:reply, {:error, %{reason: "invalid_instrument"}}, socket}
+        {:reply, {:error, %{reason: "invalid_metronome"}}, socket}
     end
   end
+
+  @impl true
+  def handle_in("clock_ping", %{"t0" => t0}, socket) do
+    # Lets browsers estimate their offset to the server clock, which the
+    # metronome's start time is expressed in
+    {:reply, {:ok, %{t0: t0, server_time: System.system_time(:millisecond)}}, socket}
+  end
 end
@@ -10,6 +10,12 @@ defmodule LivePianoWeb.RoomLive do
     {"saxophone", "Saxophone"}
   ]
 
+  @instrument_ids Enum.map(@instruments, &elem(&1, 0))
+
+  @effect_names ~w(reverb delay eq compressor)
+
+  @time_signatures [{2, 4}, {3, 4}, {4, 4}, {5, 4}, {6, 8}, {7, 8}, {12, 8}]
+
   @impl true
   def mount(%{"slug" => slug}, _session, socket) do
     case RoomServer.get_room(slug) do
@@ -22,8 +28,17 @@ defmodule LivePianoWeb.RoomLive do
           |> assign(:listener_count, 1)
           |> assign(:midi_connected, false)
           |> assign(:ice_servers, Jason.encode!(ice_servers))
+          |> assign(
+            :samples_base_url,
+            Application.get_env(:live_piano, :samples_base_url, "/samples")
+          )
           |> assign(:instrument, room.instrument)
           |> assign(:instruments, @instruments)
+          |> assign(:instrument_loads, %{})
+          |> assign(:effects, room.effects)
+          |> assign(:metronome, room.metronome)
+          |> assign(:time_signatures, @time_signatures)
+          |> assign(:recording, false)
 
         {:ok, socket}
 
@@ -52,6 +67,99 @@ defmodule LivePianoWeb.RoomLive do
     {:noreply, assign(socket, :instrument, instrument)}
   end
 
+  @impl true
+  def handle_event("instrument_load_state", %{"instrument" => instrument} = params, socket)
+      when instrument in @instrument_ids do
+    load = %{
+      status: params["status"],
+      loaded: params["loaded"] || 0,
+      total: params["total"] || 0,
+      error: params["error"]
+    }
+
+    {:noreply, update(socket, :instrument_loads, &Map.put(&1, instrument, load))}
+  end
+
+  # Unknown or missing instruments from the client are ignored
+  @impl true
+  def handle_event("instrument_load_state", _params, socket), do: {:noreply, socket}
+
+  @impl true
+  def handle_event("retry_instrument", %{"instrument" => instrument}, socket)
+      when instrument in @instrument_ids do
+    {:noreply, push_event(socket, "retry_instrument", %{instrument: instrument})}
+  end
+
+  @impl true
+  def handle_event("retry_instrument", _params, socket), do: {:noreply, socket}
+
+  @impl true
+  def handle_event("update_effects", params, socket) do
+    # Applied by the room channel, which broadcasts the result to everyone
+    {:noreply, push_event(socket, "update_effects", %{effects: effect_changes(params)})}
+  end
+
+  @impl true
+  def handle_event("effects_changed", _params, socket) do
+    case RoomServer.get_room(socket.assigns.slug) do
+      {:ok, room} -> {:noreply, assign(socket, :effects, room.effects)}
+      {:error, :not_found} -> {:noreply, socket}
+    end
+  end
+
+  @impl true
+  def handle_event("toggle_metronome", _params, socket) do
+    changes = %{running: !socket.assigns.metronome.running}
+    {:noreply, push_event(socket, "update_metronome", %{metronome: changes})}
+  end
+
+  @impl true
+  def handle_event("update_metronome", params, socket) do
+    changes =
+      with [beats, unit] <- String.split(params["signature"] || "", "/"),
+           {beats, ""} <- Integer.parse(beats),
+           {unit, ""} <- Integer.parse(unit) do
+        %{beats_per_bar: beats, beat_unit: unit}
+      else
+        _ -> %{}
+      end
+
+    changes =
+      case Integer.parse(params["bpm"] || "") do
+        {bpm, ""} -> Map.put(changes, :bpm, bpm)
+        _ -> changes
+      end
+
+    {:noreply, push_event(socket, "update_metronome", %{metronome: changes})}
+  end
+
+  @impl true
+  def handle_event("metronome_changed", _params, socket) do
+    case RoomServer.get_room(socket.assigns.slug) do
+      {:ok, room} -> {:noreply, assign(socket, :metronome, room.metronome)}
+      {:error, :not_found} -> {:noreply, socket}
+    end
+  end
+
+  @impl true
+  def handle_event("toggle_recording", _params, socket) do
+    {:noreply, push_event(socket, "toggle_recording", %{})}
+  end
+
+  # A take where nobody played anything has nothing to save
+  @impl true
+  def handle_event("recording_changed", %{"recording" => false, "empty" => true}, socket) do
+    {:noreply,
+     socket
+     |> assign(:recording, false)
+     |> put_flash(:info, "Nothing was played while recording, so there was nothing to save")}
+  end
+
+  @impl true
+  def handle_event("recording_changed", %{"recording" => recording}, socket) do
+    {:noreply, socket |> clear_flash(:info) |> assign(:recording, recording)}
+  end
+
   @impl true
   def render(assigns) do
     ~H"""
@@ -61,7 +169,13 @@ defmodule LivePianoWeb.RoomLive do
         <div class="flex-1">
           <a href="/" class="btn btn-ghost text-xl">Live Piano</a>
         </div>
-        <div class="flex-none gap-2">
+        <div class="flex-none flex items-center gap-2">
+          <div
+            id="participants"
+            phx-update="ignore"
+            class="hidden sm:flex flex-wrap justify-end gap-1"
+          >
+          </div>
           <div id="listener-badge" phx-update="ignore" class="badge badge-outline gap-1">
             <svg
               xmlns="http://www.w3.org/2000/svg"
@@ -97,16 +211,240 @@ defmodule LivePianoWeb.RoomLive do
               ]}
             >
               {label}
+              <.load_indicator load={@instrument_loads[id]} />
             </button>
           </div>
           <p class="text-center text-xs text-base-content/50 mt-2">
-            Everyone hears the same instrument
+            Others hear you through the instrument you pick
           </p>
+          <div
+            :for={{id, label} <- @instruments}
+            :if={match?(%{status: "error"}, @instrument_loads[id])}
+            role="alert"
+            class="alert alert-warning alert-soft mt-3 max-w-md mx-auto py-2 text-sm"
+          >
+            <span>
+              Couldn't load the {label} samples, it plays through a built-in synth for now.
+            </span>
+            <button phx-click="retry_instrument" phx-value-instrument={id} class="btn btn-xs">
+              Retry
+            </button>
+          </div>
+        </div>
+        
+    <!-- Recording and MIDI file playback -->
+        <div class="mb-4 flex flex-wrap justify-center gap-2">
+          <button
+            id="record-button"
+            phx-click="toggle_recording"
+            class={[
+              "btn btn-sm gap-2",
+              if(@recording, do: "btn-error", else: "btn-ghost btn-outline")
+            ]}
+          >
+            <span class={[
+              "inline-block h-2.5 w-2.5 rounded-full",
+              if(@recording, do: "bg-error-content animate-pulse", else: "bg-error")
+            ]}>
+            </span>
+            {if @recording, do: "Stop & Save .mid", else: "Record"}
+          </button>
+          <label class="btn btn-sm btn-ghost btn-outline">
+            Play a .mid file
+            <input
+              id="midi-file-input"
+              type="file"
+              accept=".mid,.midi,audio/midi"
+              phx-update="ignore"
+              class="hidden"
+            />
+          </label>
+        </div>
+        <p class="-mt-2 mb-4 text-center text-xs text-base-content/50">
+          Or drop a MIDI file anywhere on the page to play it for everyone
+        </p>
+        
+    <!-- Shared metronome, everyone hears the same beat -->
+        <div class="mb-4 flex flex-wrap items-center justify-center gap-2 text-sm">
+          <button
+            id="metronome-toggle"
+            phx-click="toggle_metronome"
+            class={[
+              "btn btn-sm w-32",
+              if(@metronome.running, do: "btn-secondary", else: "btn-ghost btn-outline")
+            ]}
+          >
+            {if @metronome.running, do: "Stop metronome", else: "Metronome"}
+          </button>
+          <form id="metronome-form" phx-change="update_metronome" class="flex items-center gap-2">
+            <input
+              type="number"
+              name="bpm"
+              min="20"
+              max="300"
+              value={@metronome.bpm}
+              phx-debounce="300"
+              class="input input-sm input-bordered w-20"
+              aria-label="Tempo (BPM)"
+            />
+            <span class="text-base-content/70">BPM</span>
+            <select
+              name="signature"
+              class="select select-sm select-bordered w-auto"
+              aria-label="Time signature"
+            >
+              <option
+                :for={{beats, unit} <- @time_signatures}
+                value={"#{beats}/#{unit}"}
+                selected={beats == @metronome.beats_per_bar and unit == @metronome.beat_unit}
+              >
+                {beats}/{unit}
+              </option>
+            </select>
+          </form>
+          <div id="metronome-beats" phx-update="ignore" class="flex items-center gap-1"></div>
+        </div>
+        
+    <!-- Room effects, shared by everyone in the room -->
+        <details
+          id="effects-panel"
+          phx-mounted={JS.ignore_attributes(["open"])}
+          class="collapse collapse-arrow mb-4 w-full max-w-3xl bg-base-100 shadow-sm"
+        >
+          <summary class="collapse-title text-sm font-medium">Room effects</summary>
+          <form id="effects-form" phx-change="update_effects" class="collapse-content">
+            <div class="grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+              <fieldset class="space-y-1">
+                <.effect_toggle
+                  effect="reverb"
+                  label="Reverb"
+                  enabled={@effects.reverb.enabled}
+                />
+                <.effect_slider
+                  name="reverb[decay]"
+                  label="Decay"
+                  value={@effects.reverb.decay}
+                  min={0.1}
+                  max={10}
+                  step={0.1}
+                />
+                <.effect_slider name="reverb[wet]" label="Mix" value={@effects.reverb.wet} />
+              </fieldset>
+              <fieldset class="space-y-1">
+                <.effect_toggle effect="delay" label="Delay" enabled={@effects.delay.enabled} />
+                <.effect_slider
+                  name="delay[time]"
+                  label="Time"
+                  value={@effects.delay.time}
+                  min={0.01}
+                  max={1}
+                />
+                <.effect_slider
+                  name="delay[feedback]"
+                  label="Feedback"
+                  value={@effects.delay.feedback}
+                  max={0.9}
+                />
+                <.effect_slider name="delay[wet]" label="Mix" value={@effects.delay.wet} />
+              </fieldset>
+              <fieldset class="space-y-1">
+                <.effect_toggle effect="eq" label="EQ" enabled={@effects.eq.enabled} />
+                <.effect_slider
+                  :for={band <- [:low, :mid, :high]}
+                  name={"eq[#{band}]"}
+                  label={band |> Atom.to_string() |> String.capitalize()}
+                  value={Map.fetch!(@effects.eq, band)}
+                  min={-24}
+                  max={12}
+                  step={0.5}
+                />
+              </fieldset>
+              <fieldset class="space-y-1">
+                <.effect_toggle
+                  effect="compressor"
+                  label="Compressor"
+                  enabled={@effects.compressor.enabled}
+                />
+                <.effect_slider
+                  name="compressor[threshold]"
+                  label="Threshold"
+                  value={@effects.compressor.threshold}
+                  min={-60}
+                  max={0}
+                  step={1}
+                />
+                <.effect_slider
+                  name="compressor[ratio]"
+                  label="Ratio"
+                  value={@effects.compressor.ratio}
+                  min={1}
+                  max={20}
+                  step={0.5}
+                />
+              </fieldset>
+            </div>
+            <p class="mt-3 text-xs text-base-content/50">
+              Everyone in the room hears these settings, a limiter keeps the mix from clipping
+            </p>
+          </form>
+        </details>
+        
+    <!-- Per-player volume, mute and solo (rows managed by the hook) -->
+        <details
+          id="mixer-panel"
+          phx-mounted={JS.ignore_attributes(["open"])}
+          class="collapse collapse-arrow mb-4 w-full max-w-3xl bg-base-100 shadow-sm"
+        >
+          <summary class="collapse-title text-sm font-medium">Mixer</summary>
+          <div class="collapse-content">
+            <div id="mixer" phx-update="ignore" class="space-y-2"></div>
+            <p class="mt-3 text-xs text-base-content/50">
+              Only changes what you hear, the other players aren't affected
+            </p>
+          </div>
+        </details>
+        
+    <!-- MIDI input devices, channel filter and output port (filled in by the hook) -->
+        <details
+          id="midi-panel"
+          phx-mounted={JS.ignore_attributes(["open"])}
+          class="collapse collapse-arrow mb-4 w-full max-w-3xl bg-base-100 shadow-sm"
+        >
+          <summary class="collapse-title text-sm font-medium">MIDI devices</summary>
+          <div id="midi-settings" phx-update="ignore" class="collapse-content space-y-3">
+            <div id="midi-devices" class="space-y-1">
+              <p class="text-xs text-base-content/50">Click anywhere to look for MIDI devices</p>
+            </div>
+            <div class="flex items-center gap-2 text-sm">
+              <label for="midi-channel" class="text-base-content/70">Listen to</label>
+              <select id="midi-channel" class="select select-sm select-bordered w-auto"></select>
+            </div>
+            <div class="flex items-center gap-2 text-sm">
+              <label for="midi-output" class="text-base-content/70">Send the room to</label>
+              <select id="midi-output" class="select select-sm select-bordered w-auto"></select>
+            </div>
+            <p class="text-xs text-base-content/50">
+              Your playing goes out on MIDI channel 1, each other player on a channel of their own
+            </p>
+          </div>
+        </details>
+        
+    <!-- Remote playback preference (options filled in by the hook) -->
+        <div
+          id="playout-mode-picker"
+          phx-update="ignore"
+          class="mb-4 flex items-center justify-center gap-2 text-sm"
+        >
+          <label for="playout-mode" class="text-base-content/70">Remote playback</label>
+          <select id="playout-mode" class="select select-sm select-bordered w-auto"></select>
         </div>
         
     <!-- Controls info -->
         <div class="mb-4 text-center text-sm text-base-content/70">
-          <p>Click piano keys, use keyboard (A-L for white, W-E-T-Y-U for black), or MIDI</p>
+          <p>Click piano keys, use the computer keyboard (letters on the keys), or MIDI</p>
+          <p class="mt-1 text-xs opacity-60">
+            ←/→ shift the octave, ↓/↑ transpose, 1-9 (or Shift+1-9) set the velocity
+          </p>
           <p class="mt-1 text-xs opacity-60 md:hidden">
             Turn off Silent Mode to hear audio
           </p>
@@ -115,6 +453,96 @@ defmodule LivePianoWeb.RoomLive do
           <% end %>
         </div>
         
+    <!-- Keyboard settings: octave, transpose, velocity, keys and view (wired by the hook) -->
+        <div
+          id="keyboard-controls"
+          phx-update="ignore"
+          class="mb-4 flex flex-wrap items-center justify-center gap-4 text-sm"
+        >
+          <div class="flex items-center gap-1">
+            <span class="text-base-content/70">Octave</span>
+            <button type="button" data-octave="-1" class="btn btn-ghost btn-xs">−</button>
+            <span id="keyboard-octave" class="w-6 text-center font-mono">0</span>
+            <button type="button" data-octave="1" class="btn btn-ghost btn-xs">+</button>
+          </div>
+          <div class="flex items-center gap-1">
+            <span class="text-base-content/70">Transpose</span>
+            <button type="button" data-transpose="-1" class="btn btn-ghost btn-xs">−</button>
+            <span id="keyboard-transpose" class="w-6 text-center font-mono">0</span>
+            <button type="button" data-transpose="1" class="btn btn-ghost btn-xs">+</button>
+          </div>
+          <label class="flex items-center gap-2">
+            <span class="text-base-content/70">Velocity</span>
+            <input
+              id="keyboard-velocity"
+              type="range"
+              min="1"
+              max="127"
+              value="100"
+              class="range range-xs w-28"
+            />
+            <span id="keyboard-velocity-value" class="w-8 font-mono">100</span>
+          </label>
+          <div class="flex items-center gap-2">
+            <label for="touch-curve" class="text-base-content/70">Touch</label>
+            <select id="touch-curve" class="select select-sm select-bordered w-auto"></select>
+            <label class="flex items-center gap-1 text-xs text-base-content/70">
+              <input id="touch-contact" type="checkbox" class="checkbox checkbox-xs" />
+              Contact size
+            </label>
+          </div>
+          <div class="flex items-center gap-2">
+            <label for="key-layout" class="text-base-content/70">Keys</label>
+            <select id="key-layout" class="select select-sm select-bordered w-auto"></select>
+            <button id="key-rebind" type="button" class="btn btn-sm">Rebind keys</button>
+          </div>
+          <div class="flex items-center gap-2">
+            <label for="visualizer-mode" class="text-base-content/70">Note bars</label>
+            <select id="visualizer-mode" class="select select-sm select-bordered w-auto"></select>
+          </div>
+          <div class="flex items-center gap-2">
+            <label for="keyboard-range" class="text-base-content/70">Show</label>
+            <select id="keyboard-range" class="select select-sm select-bordered w-auto"></select>
+            <button
+              type="button"
+              data-zoom="-1"
+              class="btn btn-ghost btn-xs"
+              aria-label="Zoom out"
+            >
+              −
+            </button>
+            <span id="keyboard-zoom" class="w-10 text-center font-mono text-xs">100%</span>
+            <button type="button" data-zoom="1" class="btn btn-ghost btn-xs" aria-label="Zoom in">
+              +
+            </button>
+            <label class="flex items-center gap-1 text-xs text-base-content/70">
+              <input id="keyboard-follow" type="checkbox" class="checkbox checkbox-xs" /> Follow notes
+            </label>
+          </div>
+          <p id="key-rebind-status" class="w-full text-center text-xs text-warning" hidden></p>
+        </div>
+        
+    <!-- Grand staff transcription of what's played (drawn by the hook while open) -->
+        <details
+          id="notation-panel"
+          phx-mounted={JS.ignore_attributes(["open"])}
+          class="collapse collapse-arrow mb-4 w-full max-w-5xl bg-base-100 shadow-sm"
+        >
+          <summary class="collapse-title text-sm font-medium">Notation</summary>
+          <div id="notation" phx-update="ignore" class="collapse-content space-y-2">
+            <div class="flex flex-wrap items-center gap-2 text-sm">
+              <label for="notation-grid" class="text-base-content/70">Shortest note</label>
+              <select id="notation-grid" class="select select-sm select-bordered w-auto"></select>
+              <button id="notation-clear" class="btn btn-sm btn-ghost">Clear</button>
+              <button id="notation-export" class="btn btn-sm btn-outline">Export MusicXML</button>
+            </div>
+            <div id="notation-staff" class="notation overflow-x-auto"></div>
+            <p class="text-xs text-base-content/50">
+              Everyone's notes are written down while this panel is open, at the metronome's tempo
+            </p>
+          </div>
+        </details>
+        
     <!-- Piano keyboard -->
         <div
           id="piano-room"
@@ -122,8 +550,62 @@ defmodule LivePianoWeb.RoomLive do
           phx-update="ignore"
           data-slug={@slug}
           data-ice-servers={@ice_servers}
+          data-samples-base-url={@samples_base_url}
           class="w-full"
         >
+          <div
+            id="midi-player"
+            class="hidden mx-auto mb-4 max-w-3xl rounded-box bg-base-100 p-3 shadow-sm"
+          >
+            <div class="flex flex-wrap items-center gap-3">
+              <button id="midi-player-toggle" class="btn btn-sm btn-primary w-20">Play</button>
+              <span id="midi-player-title" class="max-w-48 truncate text-sm font-medium"></span>
+              <input
+                id="midi-player-seek"
+                type="range"
+                min="0"
+                max="1000"
+                value="0"
+                class="range range-xs range-primary min-w-32 flex-1"
+              />
+              <span id="midi-player-time" class="font-mono text-xs">0:00 / 0:00</span>
+              <label class="flex items-center gap-2 text-xs">
+                Tempo
+                <input
+                  id="midi-player-tempo"
+                  type="range"
+                  min="25"
+                  max="200"
+                  step="5"
+                  value="100"
+                  class="range range-xs w-24"
+                />
+                <span id="midi-player-tempo-value" class="w-10 font-mono">100%</span>
+              </label>
+              <button id="midi-player-close" class="btn btn-ghost btn-xs" aria-label="Close player">
+                ✕
+              </button>
+            </div>
+          </div>
+          <p
+            id="queued-notes"
+            class="hidden mx-auto mb-2 w-fit badge badge-info badge-soft text-xs"
+            aria-live="polite"
+          >
+          </p>
+          <div id="chord-display" class="mb-2 flex flex-col items-center gap-1">
+            <div class="flex flex-wrap items-baseline justify-center gap-2">
+              <span id="room-chord" class="text-2xl font-semibold">–</span>
+              <span id="room-chord-name" class="text-xs text-base-content/60"></span>
+            </div>
+            <div id="player-chords" class="flex flex-wrap justify-center gap-3 text-xs"></div>
+          </div>
+          <div
+            id="player-legend"
+            class="mb-2 flex flex-wrap justify-center gap-3 text-xs text-base-content/70"
+          >
+          </div>
+          <canvas id="note-visualizer" class="note-visualizer" aria-hidden="true"></canvas>
           <div id="piano-keyboard" class="piano-keyboard"></div>
         </div>
         
@@ -151,7 +633,93 @@ defmodule LivePianoWeb.RoomLive do
           </div>
         </div>
       </main>
+
+      <Layouts.flash_group flash={@flash} />
     </div>
     """
   end
+
+  # Sample loading state shown next to an instrument's name in the picker
+  attr :load, :map, default: nil
+
+  defp load_indicator(%{load: %{status: "loading"}} = assigns) do
+    ~H"""
+    <span class="loading loading-spinner loading-xs"></span>
+    <span :if={@load.total > 0} class="text-xs opacity-70">
+      {div(@load.loaded * 100, @load.total)}%
+    </span>
+    """
+  end
+
+  defp load_indicator(%{load: %{status: "error"}} = assigns) do
+    ~H"""
+    <span class="text-warning" title={@load.error || "Samples failed to load"}>⚠</span>
+    """
+  end
+
+  defp load_indicator(assigns), do: ~H""
+
+  attr :effect, :string, required: true
+  attr :label, :string, required: true
+  attr :enabled, :boolean, required: true
+
+  defp effect_toggle(assigns) do
+    ~H"""
+    <label class="flex items-center gap-2 text-sm font-medium">
+      <input type="hidden" name={"#{@effect}[enabled]"} value="false" />
+      <input
+        type="checkbox"
+        name={"#{@effect}[enabled]"}
+        value="true"
+        checked={@enabled}
+        class="toggle toggle-sm toggle-primary"
+      />
+      {@label}
+    </label>
+    """
+  end
+
+  attr :name, :string, required: true
+  attr :label, :string, required: true
+  attr :value, :float, required: true
+  attr :min, :any, default: 0
+  attr :max, :any, default: 1
+  attr :step, :any, default: 0.01
+
+  defp effect_slider(assigns) do
+    ~H"""
+    <label class="flex items-center gap-2 text-xs">
+      <span class="w-16 text-base-content/70">{@label}</span>
+      <input
+        type="range"
+        name={@name}
+        value={@value}
+        min={@min}
+        max={@max}
+        step={@step}
+        phx-debounce="100"
+        class="range range-xs flex-1"
+      />
+    </label>
+    """
+  end
+
+  # Form params are strings, the room server expects booleans and numbers
+  defp effect_changes(params) do
+    for {effect, settings} <- Map.take(params, @effect_names), is_map(settings), into: %{} do
+      {effect, Map.new(settings, fn {setting, value} -> {setting, parse_effect_value(value)} end)}
+    end
+  end
+
+  defp parse_effect_value("true"), do: true
+  defp parse_effect_value("false"), do: false
+
+  defp parse_effect_value(value) when is_binary(value) do
+    case Float.parse(value) do
+      {number, _rest} -> number
+      :error -> value
+    end
+  end
+
+  defp parse_effect_value(value), do: value
 end
@@ -0,0 +1,72 @@
+defmodule Mix.Tasks.LivePiano.FetchSamples do
+  @shortdoc "Downloads the instrument samples into priv/static/samples"
+
+  @moduledoc """
+  Downloads the instrument samples played in piano rooms into
+  `priv/static/samples/<instrument>/`, so the app serves them itself and
+  works without access to third-party hosts (e.g. on an air-gapped network).
+
+      $ mix live_piano.fetch_samples
+
+  Files that already exist are skipped. Pass `--force` to download everything again.
+
+  The file lists below must match `INSTRUMENTS` in `assets/js/piano.js`.
+  """
+  use Mix.Task
+
+  @samples_dir "priv/static/samples"
+
+  @piano_notes ~w(A0 C1 Ds1 Fs1 A1 C2 Ds2 Fs2 A2 C3 Ds3 Fs3 A3 C4 Ds4 Fs4 A4
+                  C5 Ds5 Fs5 A5 C6 Ds6 Fs6 A6 C7 Ds7 Fs7 A7 C8)
+
+  # Salamander velocity layers (of 16) the piano picks samples from
+  @piano_layers [1, 5, 10, 15]
+
+  @sources %{
+    "piano" => {
+      "https://tambien.github.io/Piano/audio/",
+      for(layer <- @piano_layers, note <- @piano_notes, do: "#{note}v#{layer}.mp3")
+    },
+    "organ" => {
+      "https://nbrosowsky.github.io/tonejs-instruments/samples/organ/",
+      ~w(C1.mp3 C2.mp3 C3.mp3 C4.mp3 C5.mp3 C6.mp3)
+    },
+    "strings" => {
+      "https://nbrosowsky.github.io/tonejs-instruments/samples/violin/",
+      ~w(A3.mp3 A4.mp3 A5.mp3 C4.mp3 C5.mp3 C6.mp3 E4.mp3 E5.mp3 G4.mp3 G5.mp3)
+    },
+    "saxophone" => {
+      "https://gleitz.github.io/midi-js-soundfonts/FluidR3_GM/alto_sax-mp3/",
+      ~w(A3.mp3 A4.mp3 A5.mp3 C4.mp3 C5.mp3 E4.mp3 E5.mp3 G4.mp3 G5.mp3)
+    }
+  }
+
+  @impl Mix.Task
+  def run(args) do
+    {opts, _args} = OptionParser.parse!(args, strict: [force: :boolean])
+    {:ok, _} = Application.ensure_all_started(:req)
+
+    for {instrument, {base_url, files}} <- @sources do
+      dir = Path.join(@samples_dir, instrument)
+      File.mkdir_p!(dir)
+
+      for file <- files do
+        path = Path.join(dir, file)
+
+        if opts[:force] || !File.exists?(path) do
+          Mix.shell().info("Downloading #{instrument}/#{file}")
+          download!(base_url <> file, path)
+        end
+      end
+    end
+
+    Mix.shell().info("Samples are in #{@samples_dir}")
+  end
+
+  defp download!(url, path) do
+    case Req.get!(url, decode_body: false, retry: :transient) do
+      %Req.Response{status: 200, body: body} -> File.write!(path, body)
+      %Req.Response{status: status} -> Mix.raise("Failed to download #{url} (HTTP #{status})")
+    end
+  end
+end
@@ -0,0 +1,159 @@
+defmodule LivePiano.RoomServerTest do
+  use ExUnit.Case, async: true
+
+  alias LivePiano.RoomServer
+
+  setup do
+    {:ok, slug} = RoomServer.create_room()
+    {:ok, room} = RoomServer.get_room(slug)
+    %{slug: slug, room: room}
+  end
+
+  describe "update_effects/2" do
+    test "applies partial changes and keeps the other settings", %{slug: slug, room: room} do
+      {:ok, updated} = RoomServer.update_effects(slug, %{"reverb" => %{"wet" => 0.4}})
+
+      assert updated.effects.reverb.wet == 0.4
+      assert updated.effects.reverb.decay == room.effects.reverb.decay
+      assert updated.effects.delay == room.effects.delay
+      assert {:ok, ^updated} = RoomServer.get_room(slug)
+    end
+
+    test "clamps numbers to each setting's range", %{slug: slug} do
+      changes = %{
+        "delay" => %{"time" => -1, "feedback" => 2, "wet" => 5},
+        "eq" => %{"low" => -100, "high" => 100},
+        "compressor" => %{"ratio" => 0.5, "threshold" => 10}
+      }
+
+      {:ok, room} = RoomServer.update_effects(slug, changes)
+
+      assert room.effects.delay == %{enabled: false, time: 0.01, feedback: 0.9, wet: 1.0}
+      assert room.effects.eq.low == -24.0
+      assert room.effects.eq.high == 12.0
+      assert room.effects.compressor.ratio == 1.0
+      assert room.effects.compressor.threshold == 0.0
+    end
+
+    test "ignores unknown effects, unknown settings and invalid values", %{slug: slug, room: room} do
+      changes = %{
+        "chorus" => %{"wet" => 0.5},
+        "reverb" => %{"size" => 3, "enabled" => "yes", "wet" => "lots"},
+        "delay" => "on"
+      }
+
+      {:ok, updated} = RoomServer.update_effects(slug, changes)
+
+      assert updated.effects == room.effects
+    end
+
+    test "toggles effects on and off", %{slug: slug} do
+      {:ok, room} = RoomServer.update_effects(slug, %{"delay" => %{"enabled" => true}})
+
+      assert room.effects.delay.enabled
+    end
+
+    test "rejects changes that aren't a map", %{slug: slug, room: room} do
+      assert RoomServer.update_effects(slug, "louder") == {:error, :invalid_effects}
+      assert RoomServer.update_effects(slug, nil) == {:error, :invalid_effects}
+      assert {:ok, ^room} = RoomServer.get_room(slug)
+    end
+
+    test "returns an error for unknown rooms" do
+      assert RoomServer.update_effects("nope", %{}) == {:error, :not_found}
+    end
+  end
+
+  describe "update_metronome/2" do
+    test "starting schedules the first downbeat 500ms ahead", %{slug: slug} do
+      before = System.system_time(:millisecond)
+      {:ok, room} = RoomServer.update_metronome(slug, %{"running" => true})
+      later = System.system_time(:millisecond)
+
+      assert room.metronome.running
+      assert room.metronome.started_at >= before + 500
+      assert room.metronome.started_at <= later + 500
+    end
+
+    test "a change while running restarts the count", %{slug: slug} do
+      {:ok, started} = RoomServer.update_metronome(slug, %{"running" => true})
+      Process.sleep(5)
+      before = System.system_time(:millisecond)
+
+      {:ok, room} = RoomServer.update_metronome(slug, %{"bpm" => 140})
+
+      assert room.metronome.bpm == 140
+      assert room.metronome.started_at >= before + 500
+      assert room.metronome.started_at > started.metronome.started_at
+    end
+
+    test "an unchanged setting keeps the running count", %{slug: slug} do
+      {:ok, started} = RoomServer.update_metronome(slug, %{"running" => true})
+
+      {:ok, room} = RoomServer.update_metronome(slug, %{"bpm" => started.metronome.bpm})
+
+      assert room.metronome == started.metronome
+    end
+
+    test "stopping clears the downbeat", %{slug: slug} do
+      {:ok, _} = RoomServer.update_metronome(slug, %{"running" => true})
+
+      {:ok, room} = RoomServer.update_metronome(slug, %{"running" => false})
+
+      refute room.metronome.running
+      assert room.metronome.started_at == nil
+    end
+
+    test "clamps the tempo and ignores invalid values", %{slug: slug, room: room} do
+      changes = %{"bpm" => 1000, "beats_per_bar" => "four", "beat_unit" => 3}
+
+      {:ok, updated} = RoomServer.update_metronome(slug, changes)
+
+      assert updated.metronome.bpm == 300
+      assert updated.metronome.beats_per_bar == room.metronome.beats_per_bar
+      assert updated.metronome.beat_unit == room.metronome.beat_unit
+    end
+
+    test "rejects changes that aren't a map", %{slug: slug} do
+      assert RoomServer.update_metronome(slug, [bpm: 120]) == {:error, :invalid_metronome}
+    end
+
+    test "returns an error for unknown rooms" do
+      assert RoomServer.update_metronome("nope", %{"bpm" => 120}) == {:error, :not_found}
+    end
+  end
+
+  describe "concurrent updates" do
+    test "no player's change is lost", %{slug: slug} do
+      effect_changes = [
+        %{"reverb" => %{"wet" => 0.5}},
+        %{"delay" => %{"wet" => 0.6}},
+        %{"delay" => %{"feedback" => 0.7}},
+        %{"eq" => %{"low" => -3}},
+        %{"eq" => %{"mid" => -4}},
+        %{"eq" => %{"high" => -5}},
+        %{"compressor" => %{"ratio" => 6}}
+      ]
+
+      metronome_changes = [%{"bpm" => 90}, %{"beats_per_bar" => 3}, %{"beat_unit" => 8}]
+
+      tasks =
+        Enum.map(effect_changes, fn changes ->
+          Task.async(fn -> RoomServer.update_effects(slug, changes) end)
+        end) ++
+          Enum.map(metronome_changes, fn changes ->
+            Task.async(fn -> RoomServer.update_metronome(slug, changes) end)
+          end)
+
+      for result <- Task.await_many(tasks), do: assert({:ok, _} = result)
+
+      {:ok, room} = RoomServer.get_room(slug)
+      assert room.effects.reverb.wet == 0.5
+      assert room.effects.delay.wet == 0.6
+      assert room.effects.delay.feedback == 0.7
+      assert room.effects.eq == %{enabled: false, low: -3.0, mid: -4.0, high: -5.0}
+      assert room.effects.compressor.ratio == 6.0
+      assert %{bpm: 90, beats_per_bar: 3, beat_unit: 8} = room.metronome
+    end
+  end
+end
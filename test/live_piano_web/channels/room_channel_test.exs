@@ -0,0 +1,136 @@
+defmodule LivePianoWeb.RoomChannelTest do
+  use LivePianoWeb.ChannelCase
+
+  alias LivePiano.RoomServer
+
+  setup do
+    {:ok, slug} = RoomServer.create_room()
+
+    {:ok, reply, socket} =
+      LivePianoWeb.UserSocket
+      |> socket("peer:alice", %{peer_id: "alice"})
+      |> subscribe_and_join(LivePianoWeb.RoomChannel, "room:#{slug}")
+
+    %{slug: slug, socket: socket, reply: reply}
+  end
+
+  test "join replies with the room's effects", %{slug: slug, reply: reply} do
+    {:ok, room} = RoomServer.get_room(slug)
+
+    assert reply.effects == room.effects
+  end
+
+  describe "join with an instrument" do
+    test "keeps a valid instrument and tracks it in presence", %{slug: slug} do
+      {:ok, reply, socket} =
+        LivePianoWeb.UserSocket
+        |> socket("peer:bob", %{peer_id: "bob"})
+        |> join(LivePianoWeb.RoomChannel, "room:#{slug}", %{"instrument" => "organ"})
+
+      assert reply.instrument == "organ"
+      assert socket.assigns.instrument == "organ"
+
+      # A round trip makes sure the channel has tracked its presence after joining
+      ref = push(socket, "clock_ping", %{"t0" => 0})
+      assert_reply ref, :ok, _
+      assert %{metas: [%{instrument: "organ"}]} = LivePianoWeb.Presence.list(socket)[socket.id]
+    end
+
+    test "falls back to the room's instrument for an unknown one", %{slug: slug} do
+      {:ok, room} = RoomServer.get_room(slug)
+
+      {:ok, reply, socket} =
+        LivePianoWeb.UserSocket
+        |> socket("peer:bob", %{peer_id: "bob"})
+        |> join(LivePianoWeb.RoomChannel, "room:#{slug}", %{"instrument" => "kazoo"})
+
+      assert reply.instrument == room.instrument
+      assert socket.assigns.instrument == room.instrument
+    end
+  end
+
+  describe "instrument_change" do
+    test "replies with the instrument and updates presence", %{socket: socket} do
+      ref = push(socket, "instrument_change", %{"instrument" => "strings"})
+
+      assert_reply ref, :ok, %{instrument: "strings"}
+      assert %{metas: [%{instrument: "strings"}]} = LivePianoWeb.Presence.list(socket)[socket.id]
+    end
+
+    test "replies with an error for an unknown instrument", %{slug: slug, socket: socket} do
+      {:ok, room} = RoomServer.get_room(slug)
+
+      ref = push(socket, "instrument_change", %{"instrument" => "kazoo"})
+
+      assert_reply ref, :error, %{reason: "invalid_instrument"}
+      assert %{metas: [%{instrument: instrument}]} = LivePianoWeb.Presence.list(socket)[socket.id]
+      assert instrument == room.instrument
+    end
+  end
+
+  describe "effects_change" do
+    test "broadcasts the clamped settings to everyone, the sender included", %{socket: socket} do
+      {:ok, _, _other} =
+        LivePianoWeb.UserSocket
+        |> socket("peer:bob", %{peer_id: "bob"})
+        |> join(LivePianoWeb.RoomChannel, socket.topic)
+
+      push(socket, "effects_change", %{"effects" => %{"reverb" => %{"wet" => 5, "decay" => 0}}})
+
+      assert_broadcast "effects_state", %{effects: %{reverb: %{wet: 1.0, decay: 0.1}}}
+      # One push per channel process, the sender's and the other player's
+      assert_push "effects_state", %{effects: %{reverb: %{wet: 1.0}}}
+      assert_push "effects_state", %{effects: %{reverb: %{wet: 1.0}}}
+    end
+
+    test "stores the new settings for players joining later", %{slug: slug, socket: socket} do
+      push(socket, "effects_change", %{"effects" => %{"delay" => %{"enabled" => true}}})
+      assert_broadcast "effects_state", _
+
+      {:ok, reply, _socket} =
+        LivePianoWeb.UserSocket
+        |> socket("peer:carol", %{peer_id: "carol"})
+        |> join(LivePianoWeb.RoomChannel, "room:#{slug}")
+
+      assert reply.effects.delay.enabled
+    end
+
+    test "replies with an error for invalid settings", %{socket: socket} do
+      ref = push(socket, "effects_change", %{"effects" => "loud"})
+
+      assert_reply ref, :error, %{reason: "invalid_effects"}
+      refute_broadcast "effects_state", _
+    end
+  end
+
+  describe "metronome_change" do
+    test "broadcasts the new metronome with a downbeat ahead of now", %{socket: socket} do
+      now = System.system_time(:millisecond)
+
+      push(socket, "metronome_change", %{"metronome" => %{"running" => true, "bpm" => 120}})
+
+      assert_broadcast "metronome_state", %{metronome: %{running: true, bpm: 120} = metronome}
+      assert metronome.started_at >= now + 500
+      assert_push "metronome_state", %{metronome: ^metronome}
+    end
+
+    test "replies with an error for invalid settings", %{socket: socket} do
+      ref = push(socket, "metronome_change", %{"metronome" => 120})
+
+      assert_reply ref, :error, %{reason: "invalid_metronome"}
+      refute_broadcast "metronome_state", _
+    end
+  end
+
+  describe "clock_ping" do
+    test "replies with the ping's t0 and the server time", %{socket: socket} do
+      before = System.system_time(:millisecond)
+
+      ref = push(socket, "clock_ping", %{"t0" => 1234.5})
+
+      assert_reply ref, :ok, %{t0: 1234.5, server_time: server_time}
+      assert server_time >= before
+      assert server_time <= System.system_time(:millisecond)
+    end
+  end
+end